@@ -1,12 +1,51 @@
+type DeadLinkKind = 'wikilink' | 'embed' | 'image' | 'html'
+
+type DeadLinkReason = 'missing-page' | 'missing-anchor' | 'missing-asset' | 'embed-cycle'
+
+// Recorded for each file a dead link is found in.
+type Gravestone = {
+  file: string
+  kind: DeadLinkKind
+  reason: DeadLinkReason
+}
+
+// Data structure for each entry of the dead link report, line and column are 1-based
+// and null when the link can't be found within the file's source.
+type DeadLinkEntry = Gravestone & {
+  link: string
+  line: number | null
+  column: number | null
+  // titles and aliases, or for html links page urls, close to a link to a missing page.
+  suggestions: Array<string>
+}
+
 interface DeadLinks {
-  gravestones: Map<string, Array<string>>
+  gravestones: Map<string, Array<Gravestone>>
+  anchorGravestones: Map<string, Array<Gravestone>>
+  cycleGravestones: Map<string, Array<Gravestone>>
+  assetGravestones: Map<string, Array<Gravestone>>
+  identifiers: Map<string, any>
   fileSrc: string
 
   setFileSrc(fileSrc: string): void
 
-  add(link: string): void
+  setIdentifiers(identifiers: Map<string, any>): void
+
+  add(link: string, fileSrc?: string, kind?: DeadLinkKind): void
 
-  report(): void
+  addAnchor(link: string, fileSrc?: string, kind?: DeadLinkKind): void
+
+  addCycle(link: string, fileSrc?: string): void
+
+  addAsset(link: string, fileSrc?: string, kind?: DeadLinkKind): void
+
+  suggestions(link: string, kind: DeadLinkKind): Array<string>
+
+  entries(): Array<DeadLinkEntry>
+
+  count(allowFiles?: Array<string>, allowLinks?: Array<string | RegExp>): number
+
+  report(format: 'console' | 'json'): void
 }
 
 interface Parser {
@@ -57,20 +96,224 @@ type EleventyPluginInterlinkOptions = {
   // deadLinkReport is the desired output format of the dead link report, by default its set to 'console'
   deadLinkReport?: 'console' | 'json' | 'none',
 
+  // attachmentsFolder is the Obsidian style folder embedded files are looked for in after the linking page's folder. It's
+  // relative to the input directory, or to the linking page's folder if prefixed with `./`. Defaults to null.
+  attachmentsFolder?: string | null,
+
+  // attachmentIgnore is a list of globs, relative to the input directory, of files and directories that are not
+  // indexed when looking up embedded files by name. The output directory is always ignored.
+  // Defaults to ['**/node_modules/**', '**/.git/**'].
+  attachmentIgnore?: Array<string>,
+
+  // imageTransform is an async function that's handed each embedded image for generating its markup, e.g. a responsive
+  // `<picture>` element. See eleventyImageTransform for an adapter using @11ty/eleventy-img. Defaults to null, outputting
+  // an `<img>` tag.
+  imageTransform?: ((image: ImageEmbed, link: WikilinkMeta, currentPage: any) => Promise<string>) | null,
+
+  // imageLoading is the loading attribute added to embedded images. Defaults to null, not setting the attribute.
+  imageLoading?: 'lazy' | 'eager' | null,
+
+  // imageCaptions when true wraps embedded images with alias text, e.g. `![[photo.png|A caption]]`, in a `<figure>`
+  // with the alias text as its caption. Defaults to false.
+  imageCaptions?: boolean,
+
+  // siteUrl is the absolute URL of the site, e.g. `https://example.com/`. Links to URLs within it are treated as
+  // internal links. Defaults to null.
+  siteUrl?: string | null,
+
+  // parseRenderedLinks when true also finds internal links in each page's rendered HTML output, e.g. those output by
+  // shortcodes, includes and layouts, adding them to the link graph and dead link report once every page has rendered.
+  // They aren't added to backlinks or the linkGraph global data, which templates have already rendered by then.
+  // Defaults to false.
+  parseRenderedLinks?: boolean,
+
+  // rewriteMarkdownLinks when true rewrites the href of Markdown links to Markdown files, e.g. `[text](folder/Note.md)`,
+  // to the url of the page generated from that file, keeping any fragment identifier. Defaults to true.
+  rewriteMarkdownLinks?: boolean,
+
+  // externalLinks sets the rel and target attributes of links to external sites, e.g. `[[https://example.com|Example]]`
+  // and link card embeds. Defaults to {rel: 'noopener noreferrer', target: null}.
+  externalLinks?: ExternalLinksOptions,
+
+  // copyAssets when true copies the image and other media files resolved from embeds to the output directory at their
+  // href after each build, skipping those already copied. Defaults to true.
+  copyAssets?: boolean,
+
+  // maxEmbedDepth is the number of levels of nested embeds that are resolved, beyond which embeds are displayed as
+  // links to the embedded page. Defaults to 5.
+  maxEmbedDepth?: number,
+
+  // failOnDeadLinks when set fails the build if dead links are found. Passing an object allows ignoring dead links
+  // found in files matching allowFiles globs or matching allowLinks globs/RegExp, and permitting up to
+  // maxDeadLinks before failing. Defaults to false.
+  failOnDeadLinks?: boolean | FailOnDeadLinksOptions,
+
+  // duplicates sets the behaviour when more than one page shares a title, file slug or alias. 'error' halts the build,
+  // 'warn' outputs a warning for each conflict, and 'tiebreak' silently resolves links deterministically by page
+  // inputPath. Defaults to 'warn'.
+  duplicates?: 'error' | 'warn' | 'tiebreak',
+
+  // backlinksSort is the order in which each page's backlinks are sorted; by linking page 'title', 'url', 'date', or
+  // a comparison function. Defaults to 'title'.
+  backlinksSort?: 'title' | 'url' | 'date' | ((a: Backlink, b: Backlink) => number),
+
+  // backlinkExcerptLength is the number of characters of text either side of a link included in its backlink
+  // excerpt. Defaults to 80, setting 0 disables excerpts.
+  backlinkExcerptLength?: number,
+
+  // linkGraphFile is the filename, relative to the output directory, that the graph of links between pages is written
+  // to after each build. The graph is always available to templates as the `linkGraph` global data value. Defaults to
+  // false, disabling writing the file.
+  linkGraphFile?: string | false,
+
+  // autoLinkMentions when set turns plain text mentions of page titles and aliases within Markdown pages into links.
+  // By default pages opt in via front matter. Passing true uses the default options. Defaults to false.
+  autoLinkMentions?: boolean | AutoLinkMentionsOptions,
+
+  // unlinkedMentions when true finds plain text mentions of page titles and aliases that are not linked, adding them
+  // to the mentioned page's unlinkedMentions data value. Defaults to false.
+  unlinkedMentions?: boolean,
+
+  // unlinkedMentionsFile is the filename, relative to the output directory, that plain text mentions of page titles
+  // and aliases that are not linked are written to after each build. Defaults to false, disabling writing the file.
+  unlinkedMentionsFile?: string | false,
+
+  // linkMatching configures how Wikilink page references are compared to page titles, file slugs and aliases when
+  // they do not match exactly. By default, only exact matches are made.
+  linkMatching?: LinkMatchingOptions,
+
+  // validateAnchors when true checks that the fragment identifier of wikilinks and internal links, e.g.
+  // `[[Page#Heading]]` or `/page/#heading`, exists in the linked page's rendered output, including its
+  // layouts. Defaults to false.
+  validateAnchors?: boolean,
+
   // resolvingFns is a list of resolving functions. These are invoked by a wikilink containing a `:` character
   // prefixed by the fn name. The page in this case is the linking page.
   resolvingFns?: Map<string, (link: WikilinkMeta, currentPage: any, interlinker: Interlinker) => Promise<string>>,
 }
 
+type LinkMatchingOptions = {
+  // Compare ignoring case, e.g. `[[artificial intelligence]]` matches `Artificial Intelligence`.
+  caseInsensitive?: boolean,
+  // Trim and collapse runs of whitespace into a single space.
+  collapseWhitespace?: boolean,
+  // Apply Unicode normalisation using the given form, true uses NFC.
+  unicode?: boolean | 'NFC' | 'NFD' | 'NFKC' | 'NFKD',
+  // Compare slugified, e.g. `[[artificial-intelligence]]` matches `Artificial Intelligence`.
+  slugify?: boolean,
+  // Output a notice for each Wikilink that only matched a page after normalisation.
+  verbose?: boolean,
+}
+
+type AutoLinkMentionsOptions = {
+  // Whether only pages setting the front matter key to true are auto-linked (opt-in), or all pages except those
+  // setting it to false (opt-out). Defaults to opt-in.
+  pages?: 'opt-in' | 'opt-out',
+  // Front matter key used to opt pages in or out. Defaults to autoLinkMentions.
+  frontMatterKey?: string,
+  // Only link the first mention of each page. Defaults to true.
+  firstOccurrenceOnly?: boolean,
+}
+
+type ExternalLinksOptions = {
+  // The rel attribute, null omits the attribute. Defaults to 'noopener noreferrer'.
+  rel?: string | null,
+  // The target attribute, e.g. '_blank', null omits the attribute. Defaults to null.
+  target?: string | null,
+}
+
+type FailOnDeadLinksOptions = {
+  // Globs matched against the path, relative to the working directory, of the file containing the dead link.
+  allowFiles?: Array<string>,
+  // Globs matched against the link, or the identifier of a wikilink, or a RegExp matched against the link.
+  allowLinks?: Array<string | RegExp>,
+  // The number of dead links permitted before the build fails. Defaults to 0.
+  maxDeadLinks?: number,
+}
+
 interface ErrorRenderFn {
   (slug: string): string;
 }
 
+// Data structure of the graph of links between pages.
+type LinkGraph = {
+  nodes: Array<{
+    url: string
+    title: string | null
+    tags: Array<string>
+    aliases: Array<string>
+    inbound: number
+    outbound: number
+  }>
+  edges: Array<{
+    source: string
+    target: string
+    type: 'link' | 'embed' | 'html' | 'mention'
+  }>
+}
+
+// Data structure for each of a page's backlinks.
+type Backlink = {
+  url: string
+  title: string
+  date: Date
+  type: 'wikilink' | 'embed' | 'html' | 'mention'
+  // the display text or alias used by the link
+  text: string | null
+  anchor: string | null
+  // plain text of the linking page's source surrounding the link
+  excerpt: string | null
+}
+
+// Data structure handed to the imageTransform option for each embedded image.
+type ImageEmbed = {
+  // href of the image
+  src: string
+  // path of the image file
+  path: string
+  // the alias text, or the image's filename without extension
+  alt: string
+  // size from the `|300` or `|300x200` syntax
+  width: string | null
+  height: string | null
+  loading: 'lazy' | 'eager' | null
+}
+
+// Data structure for each of a page's embeds and embeddedBy values.
+type Embed = {
+  url: string
+  title: string
+  // date of the embedding page, only set for embeddedBy
+  date?: Date
+  // the section or block embedded
+  anchor: string | null
+}
+
+// Data structure for each of a page's unlinked mentions.
+type UnlinkedMention = {
+  url: string
+  title: string
+  date: Date
+  // the mention as written in the mentioning page
+  text: string
+  // plain text of the mentioning page's source surrounding the mention
+  excerpt: string | null
+}
+
 // Data structure for internal links identified by HTMLLinkParser.
 // This is a subset of WikilinkMeta.
 type LinkMeta = {
   href: string
+  anchor: string | null
+  link: string
+  // the text content of the anchor element, or of the Markdown link
+  text?: string
   isEmbed: false
+  // true when found via Markdown link syntax, e.g. `[text](/page/)` or `[text][ref]`
+  isMarkdown?: boolean
+  // offsets of Markdown links within the linking page's source
+  start?: number
+  end?: number
 }
 
 // Data structure for wikilinks identified by WikiLinkParser.
@@ -81,12 +324,18 @@ type WikilinkMeta = {
   link: string
   isEmbed: boolean
   isPath: boolean
+  // true when the link is to a URL, e.g. `[[https://example.com]]`, the URL is its href.
+  isExternal?: boolean
 
   // If linked page has been found in the all collection exists will be
   // true and page will be the 11ty page object.
   exists: boolean
   page?: any
 
+  // set for embeds of image, audio, video and PDF files found by file extension
+  isImage?: boolean
+  mediaType?: 'image' | 'audio' | 'video' | 'pdf' | null
+
   // name of the resolving fn, if set it must exist
   resolvingFnName?: string
   // the resulting HTML of the resolving function
@@ -96,12 +345,26 @@ type WikilinkMeta = {
   // false then it disables the transformation of wikilink into html link.
   href?: string|false
   path?: string
+
+  // urls of the pages embedding this link when it's found within embedded content, used for detecting embed cycles.
+  embedChain?: Array<string>
 }
 
 interface PageDirectoryService {
-  findByLink(link: WikilinkMeta | LinkMeta): { page: any, found: boolean, foundByAlias: boolean };
+  findByLink(link: WikilinkMeta | LinkMeta): { page: any, found: boolean, foundByAlias: boolean, foundByNormalisation: boolean };
 
   findByFile(file: any): any;
+
+  identifiers(): Map<string, any>;
 }
 
-export {EleventyPluginInterlinkOptions, WikilinkMeta, LinkMeta, PageDirectoryService};
+declare function interlinkerPlugin(eleventyConfig: any, options?: EleventyPluginInterlinkOptions): void
+
+declare namespace interlinkerPlugin {
+  // Returns an imageTransform that generates responsive markup using @11ty/eleventy-img.
+  function eleventyImageTransform(imageOptions?: Record<string, any>, htmlOptions?: Record<string, any>): (image: ImageEmbed) => Promise<string>
+}
+
+export default interlinkerPlugin;
+
+export {EleventyPluginInterlinkOptions, ImageEmbed, LinkMatchingOptions, AutoLinkMentionsOptions, ExternalLinksOptions, Backlink, Embed, UnlinkedMention, LinkGraph, WikilinkMeta, LinkMeta, PageDirectoryService, DeadLinkKind, DeadLinkReason, Gravestone, DeadLinkEntry};
@@ -1,6 +1,8 @@
 import {install} from './src/markdown-ext.js';
+import path from 'node:path';
 import Interlinker from './src/interlinker.js';
-import {defaultResolvingFn, defaultEmbedFn, imageEmbedFn} from './src/resolvers.js';
+import {eleventyImageTransform} from './src/eleventy-img.js';
+import {defaultResolvingFn, defaultEmbedFn, externalResolvingFn, externalEmbedFn, imageEmbedFn, audioEmbedFn, videoEmbedFn, pdfEmbedFn} from './src/resolvers.js';
 
 /**
  * Some code borrowed from:
@@ -10,7 +12,7 @@ import {defaultResolvingFn, defaultEmbedFn, imageEmbedFn} from './src/resolvers.
  * @param { import('@11ty/eleventy/src/UserConfig') } eleventyConfig
  * @param { import('@photogabble/eleventy-plugin-interlinker').EleventyPluginInterlinkOptions } options
  */
-export default function (eleventyConfig, options = {}) {
+export default function interlinkerPlugin(eleventyConfig, options = {}) {
   /** @var { import('@photogabble/eleventy-plugin-interlinker').EleventyPluginInterlinkOptions } opts */
   const opts = Object.assign({
     defaultLayout: null,
@@ -19,6 +21,26 @@ export default function (eleventyConfig, options = {}) {
     layoutTemplateLangKey: 'embedLayoutLanguage',
     resolvingFns: new Map(),
     deadLinkReport: 'console',
+    validateAnchors: false,
+    failOnDeadLinks: false,
+    duplicates: 'warn',
+    backlinksSort: 'title',
+    backlinkExcerptLength: 80,
+    linkGraphFile: false,
+    unlinkedMentions: false,
+    unlinkedMentionsFile: false,
+    autoLinkMentions: false,
+    maxEmbedDepth: 5,
+    copyAssets: true,
+    attachmentsFolder: null,
+    attachmentIgnore: ['**/node_modules/**', '**/.git/**'],
+    imageTransform: null,
+    imageLoading: null,
+    imageCaptions: false,
+    externalLinks: {rel: 'noopener noreferrer', target: null},
+    siteUrl: null,
+    parseRenderedLinks: false,
+    rewriteMarkdownLinks: true,
   }, options);
 
   // TODO: deprecate usage of unableToLocateEmbedFn in preference of using resolving fn
@@ -32,8 +54,14 @@ export default function (eleventyConfig, options = {}) {
   // Default resolving functions for converting a Wikilink into HTML.
   if (!opts.resolvingFns.has('default')) opts.resolvingFns.set('default', defaultResolvingFn);
   if (!opts.resolvingFns.has('default-embed')) opts.resolvingFns.set('default-embed', defaultEmbedFn);
+  if (!opts.resolvingFns.has('external')) opts.resolvingFns.set('external', externalResolvingFn);
+  if (!opts.resolvingFns.has('external-embed')) opts.resolvingFns.set('external-embed', externalEmbedFn);
   if (!opts.resolvingFns.has('image-embed')) opts.resolvingFns.set('image-embed', imageEmbedFn);
+  if (!opts.resolvingFns.has('audio-embed')) opts.resolvingFns.set('audio-embed', audioEmbedFn);
+  if (!opts.resolvingFns.has('video-embed')) opts.resolvingFns.set('video-embed', videoEmbedFn);
+  if (!opts.resolvingFns.has('pdf-embed')) opts.resolvingFns.set('pdf-embed', pdfEmbedFn);
   if (!opts.resolvingFns.has('404-embed')) opts.resolvingFns.set('404-embed', async () => '[UNABLE TO LOCATE EMBED]');
+  if (!opts.resolvingFns.has('cyclic-embed')) opts.resolvingFns.set('cyclic-embed', async () => '[EMBED CYCLE DETECTED]');
 
   const interlinker = new Interlinker(opts);
 
@@ -43,9 +71,10 @@ export default function (eleventyConfig, options = {}) {
   eleventyConfig.on("eleventy.config", (cfg) => {
     interlinker.templateConfig = cfg;
     
-    // Set the input directory for image file lookups
+    // Set the input directory for image file lookups, and the output directory so that it's not indexed
     const inputDir = cfg.inputDir || cfg.dir?.input || '.';
     interlinker.wikiLinkParser.setInputDir(inputDir);
+    interlinker.wikiLinkParser.setOutputDir(cfg.directories?.output ?? cfg.dir?.output);
   });
 
   // This triggers on an undocumented internal 11ty event that is triggered once EleventyExtensionMap
@@ -56,9 +85,27 @@ export default function (eleventyConfig, options = {}) {
   });
 
   // After 11ty has finished generating the site output a list of wikilinks that do not link to
-  // anything.
-  eleventyConfig.on('eleventy.after', () => {
+  // anything, and if configured copy embedded assets and write the link graph and unlinked mentions
+  // to the output directory.
+  eleventyConfig.on('eleventy.after', async ({directories, dir, outputMode}) => {
+    if (opts.parseRenderedLinks) interlinker.applyRenderedLinks();
+    if (opts.validateAnchors) await interlinker.validateAnchors();
+
+    if (outputMode === 'fs') {
+      const output = directories?.output ?? dir.output;
+      if (opts.copyAssets) interlinker.assets.copy(output);
+      if (opts.linkGraphFile) interlinker.linkGraph.write(path.join(output, opts.linkGraphFile));
+      if (opts.unlinkedMentionsFile) interlinker.unlinkedMentions.write(path.join(output, opts.unlinkedMentionsFile));
+    }
+
     if (opts.deadLinkReport !== 'none') interlinker.deadLinks.report(opts.deadLinkReport);
+
+    // Throwing here fails the build, resulting in 11ty exiting with a non-zero exit code.
+    if (opts.failOnDeadLinks) {
+      const {allowFiles = [], allowLinks = [], maxDeadLinks = 0} = opts.failOnDeadLinks === true ? {} : opts.failOnDeadLinks;
+      const count = interlinker.deadLinks.count(allowFiles, allowLinks);
+      if (count > maxDeadLinks) throw new Error(`Found ${count} dead links, exceeding the maximum of ${maxDeadLinks} allowed by failOnDeadLinks`);
+    }
   });
 
   // Reset the internal state of the interlinker if running in watch mode, this stops
@@ -67,8 +114,27 @@ export default function (eleventyConfig, options = {}) {
     interlinker.reset();
   });
 
-  // Teach Markdown-It how to display MediaWiki Links.
-  eleventyConfig.amendLibrary('md', (md) => install(md, interlinker.wikiLinkParser));
+  // Teach Markdown-It how to display MediaWiki Links, auto-link mentions of pages and link to Markdown files.
+  eleventyConfig.amendLibrary('md', (md) => install(md, interlinker.wikiLinkParser, interlinker));
+
+  // When enabled, internal links are also found in each page's rendered HTML output. This includes links
+  // produced by shortcodes, includes and layouts that aren't found in the page's source. These are added
+  // to the link graph and dead link report once the build has finished.
+  if (opts.parseRenderedLinks) {
+    eleventyConfig.addTransform('interlinker-rendered-links', function (content) {
+      if (this.page.outputPath?.endsWith('.html')) interlinker.computeRendered(this.page, content);
+      return content;
+    });
+  }
+
+  // When enabled, the anchors of each page are read from its rendered HTML output so that those added by
+  // its layouts are found. Links to each page's anchors are checked once the build has finished.
+  if (opts.validateAnchors) {
+    eleventyConfig.addTransform('interlinker-anchors', function (content) {
+      if (this.page.outputPath?.endsWith('.html')) interlinker.computeRenderedAnchors(this.page, content);
+      return content;
+    });
+  }
 
   // Add outboundLinks computed global data, this is executed before the templates are compiled and
   // thus markdown parsed.
@@ -76,5 +142,13 @@ export default function (eleventyConfig, options = {}) {
     return async (data) => interlinker.compute(data);
   });
 
+  // Make the graph of links between pages available to templates, its nodes and edges are read
+  // on access and so are complete by the time templates are rendered.
+  eleventyConfig.addGlobalData('linkGraph', () => interlinker.linkGraph);
+
   // TODO: 1.1.0 Make Interlinker class available via global data
 };
+
+// The image transformer adapter is a property of the plugin, rather than a named export, so that the CommonJS build
+// exports the plugin function itself.
+interlinkerPlugin.eleventyImageTransform = eleventyImageTransform;
@@ -0,0 +1,106 @@
+import path from 'node:path';
+import chalk from 'chalk';
+import fs from 'node:fs';
+
+/**
+ * Returns true if both files have the same content.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+const sameContent = (a, b) => fs.statSync(a).size === fs.statSync(b).size
+  && fs.readFileSync(a).equals(fs.readFileSync(b));
+
+/**
+ * Returns true if the file at a was modified after the file at b.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {boolean}
+ */
+const newerThan = (a, b) => fs.statSync(a).mtimeMs > fs.statSync(b).mtimeMs;
+
+/**
+ * Assets:
+ * This records the files (images and other media) resolved from embeds during the build so that they
+ * can be copied into the output directory at their computed href, allowing them to be used without
+ * also configuring a passthrough copy.
+ */
+export default class Assets {
+  constructor() {
+    // Map of asset href to its source file path and the files referencing it
+    this.assets = new Map();
+
+    // Set of destination paths written by copy, this is kept between builds so that in watch mode
+    // assets that have changed are copied over those written by a previous build
+    this.written = new Set();
+  }
+
+  /**
+   * @param {string} href
+   * @param {string} fullPath
+   * @param {string} fileSrc the file referencing the asset
+   */
+  add(href, fullPath, fileSrc) {
+    if (!this.assets.has(href)) this.assets.set(href, {fullPath, files: []});
+
+    const asset = this.assets.get(href);
+    if (!asset.files.includes(fileSrc)) asset.files.push(fileSrc);
+  }
+
+  /**
+   * Copies each asset into the output directory. Assets already copied, e.g. via passthrough copy, are
+   * skipped. A different file at an asset's destination is overwritten if it was written by a previous
+   * copy or is older than the asset. Otherwise, or if the asset is missing or would be copied outside
+   * the output directory, the asset is not copied and a warning is output.
+   *
+   * @param {string} outputDir
+   * @return {number} the number of assets copied
+   */
+  copy(outputDir) {
+    let copied = 0;
+
+    const warn = (message, files) => {
+      console.warn(chalk.blue('[@photogabble/wikilinks]'), chalk.yellow('WARNING'), message);
+      for (const file of files) console.warn(`\t- ${file}`);
+    };
+
+    for (const [href, {fullPath, files}] of this.assets.entries()) {
+      const destination = path.join(outputDir, href);
+
+      if (path.relative(outputDir, destination).startsWith('..')) {
+        warn(`Asset (${fullPath}) not copied as it's outside the input directory, referenced in:`, files);
+        continue;
+      }
+
+      if (!fs.existsSync(fullPath)) {
+        warn(`Asset (${fullPath}) not found, referenced in:`, files);
+        continue;
+      }
+
+      if (fs.existsSync(destination)) {
+        if (sameContent(fullPath, destination)) continue;
+
+        if (!this.written.has(destination) && !newerThan(fullPath, destination)) {
+          warn(`Asset (${fullPath}) not copied as a different file already exists at ${destination}, referenced in:`, files);
+          continue;
+        }
+      }
+
+      fs.mkdirSync(path.dirname(destination), {recursive: true});
+      fs.copyFileSync(fullPath, destination);
+      this.written.add(destination);
+      copied++;
+    }
+
+    return copied;
+  }
+
+  /**
+   * Reset to initial state
+   */
+  clear() {
+    this.assets.clear();
+  }
+}
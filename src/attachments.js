@@ -0,0 +1,87 @@
+import picomatch from 'picomatch';
+import path from 'node:path';
+import fs from 'node:fs';
+
+/**
+ * Returns the number of directories between two directories, both relative to the input directory.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @return {number}
+ */
+const distance = (from, to) => {
+  const a = from.split('/').filter(Boolean);
+  const b = to.split('/').filter(Boolean);
+
+  let shared = 0;
+  while (shared < a.length && shared < b.length && a[shared] === b[shared]) shared++;
+
+  return (a.length - shared) + (b.length - shared);
+};
+
+/**
+ * Attachment Index:
+ * This indexes every file within the input directory by filename, providing a method for finding the
+ * file an embed such as `![[photo.png]]` references. It's intended to be built once per build, with
+ * directories matching the `ignore` globs, relative to the input directory, not being indexed.
+ *
+ * Where more than one file has the referenced name the one closest to the linking page is found, if
+ * more than one file is equally close then all of them are returned as ambiguous.
+ *
+ * @param {string} baseDir the input directory
+ * @param {Array<string>} ignore
+ * @return {{find: function(string, string|undefined): {path: string|null, ambiguous: Array<string>}}}
+ */
+export const attachmentIndex = (baseDir, ignore = []) => {
+  const isIgnored = ignore.length > 0 ? picomatch(ignore, {dot: true}) : () => false;
+
+  // Map of filename to the paths, relative to the input directory, of each file with that name
+  const byName = new Map();
+
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, {withFileTypes: true});
+    } catch (e) {
+      // Ignore errors accessing directories
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(baseDir, fullPath).replace(/\\/g, '/');
+      if (isIgnored(relativePath)) continue;
+
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile()) {
+        if (!byName.has(entry.name)) byName.set(entry.name, []);
+        byName.get(entry.name).push(relativePath);
+      }
+    }
+  };
+
+  walk(baseDir);
+
+  return {
+    find: (name, filePathStem) => {
+      // The name may include part of the file's path, e.g. `figs/photo.png`.
+      const candidates = (byName.get(path.posix.basename(name)) ?? [])
+        .filter((relativePath) => relativePath === name || relativePath.endsWith(`/${name}`));
+
+      if (candidates.length === 0) return {path: null, ambiguous: []};
+
+      const pageDir = filePathStem ? path.posix.dirname(filePathStem) : '';
+      const ranked = candidates
+        .map((relativePath) => ({relativePath, distance: distance(pageDir, path.posix.dirname(relativePath))}))
+        .sort((a, b) => a.distance - b.distance || a.relativePath.localeCompare(b.relativePath));
+
+      const closest = ranked.filter((candidate) => candidate.distance === ranked[0].distance);
+
+      return {
+        path: ranked[0].relativePath,
+        ambiguous: closest.length > 1 ? closest.map(({relativePath}) => relativePath) : [],
+      };
+    },
+  };
+};
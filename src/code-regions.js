@@ -0,0 +1,108 @@
+/**
+ * Matches the opening or closing fence of a Markdown fenced code block.
+ *
+ * @type {RegExp}
+ */
+const fenceRegExp = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+
+/**
+ * Matches a Markdown list item, lines indented by four or more spaces following a list item are its
+ * content rather than an indented code block.
+ *
+ * @type {RegExp}
+ */
+const listItemRegExp = /^ {0,3}([-*+]|\d{1,9}[.)])(\s|$)/;
+
+/**
+ * Regular expressions matching the parts of any document, HTML or otherwise, that are code or comments.
+ *
+ * @type {Array<RegExp>}
+ */
+const htmlRegions = [
+  /<!--[\s\S]*?-->/g,
+  /<(pre|code)\b[\s\S]*?<\/\1>/gi,
+];
+
+/**
+ * Matches a Markdown code span, e.g. `` `[[Example]]` ``, which can't span a blank line.
+ *
+ * @type {RegExp}
+ */
+const codeSpanRegExp = /(?<!`)(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?(?<!`)\1(?!`)/g;
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+const blank = (str) => str.replace(/[^\n]/g, ' ');
+
+/**
+ * Blanks the fenced and indented code blocks of a Markdown document line by line.
+ *
+ * @param {string} document
+ * @return {string}
+ */
+const maskCodeBlocks = (document) => {
+  let fence = null;
+  let previousBlank = true;
+  let inList = false;
+  let inIndentedCode = false;
+
+  return document.split('\n').map((line) => {
+    if (fence) {
+      const close = line.match(fenceRegExp);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length && close[2].trim() === '') fence = null;
+      return blank(line);
+    }
+
+    const isBlank = line.trim() === '';
+    const open = line.match(fenceRegExp);
+
+    // Backtick fences can't have backticks in their info string.
+    if (open && !(open[1][0] === '`' && open[2].includes('`'))) {
+      fence = open[1];
+      previousBlank = false;
+      inIndentedCode = false;
+      return blank(line);
+    }
+
+    // An indented code block can't interrupt a paragraph or be part of a list item.
+    if (!isBlank && /^( {4}|\t)/.test(line) && (inIndentedCode || (previousBlank && !inList))) {
+      inIndentedCode = true;
+      previousBlank = false;
+      return blank(line);
+    }
+
+    if (!isBlank) {
+      inIndentedCode = false;
+      // A list continues until a line that isn't indented follows a blank line.
+      if (listItemRegExp.test(line)) inList = true;
+      else if (previousBlank && !/^\s/.test(line)) inList = false;
+    }
+
+    previousBlank = isBlank;
+    return line;
+  }).join('\n');
+};
+
+/**
+ * Replaces the code and comments of a document with spaces, keeping line breaks so that the offsets of
+ * anything found within the masked document are the same as in the original. HTML comments and `<pre>`
+ * or `<code>` elements are masked in any document; Markdown fenced and indented code blocks and code
+ * spans are only masked when the document is Markdown.
+ *
+ * @param {string} document
+ * @param {boolean} isMarkdown
+ * @return {string}
+ */
+export const maskCode = (document, isMarkdown = true) => {
+  let masked = isMarkdown ? maskCodeBlocks(document) : document;
+
+  for (const regex of htmlRegions) {
+    masked = masked.replace(regex, blank);
+  }
+
+  return isMarkdown
+    ? masked.replace(codeSpanRegExp, blank)
+    : masked;
+};
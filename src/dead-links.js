@@ -1,10 +1,150 @@
+import {maskCode} from './code-regions.js';
+import picomatch from 'picomatch';
 import path from 'node:path';
 import chalk from 'chalk';
 import fs from 'node:fs';
 
+/**
+ * Returns the identifier of a wikilink, e.g. `Page` from `![[Page|Title]]`, or the link unchanged if
+ * it isn't a wikilink. This allows link globs to be written without escaping square brackets.
+ *
+ * @param {string} link
+ * @return {string}
+ */
+const linkIdentifier = (link) => link.startsWith('[[') || link.startsWith('![[')
+  ? link.replace(/^!?\[\[/, '').replace(/]]$/, '').split('|')[0].trim()
+  : link;
+
+/**
+ * Returns the kind of a dead link from its syntax: `embed` for `![[...]]`, `wikilink` for `[[...]]`
+ * and otherwise `html`, which includes Markdown links.
+ *
+ * @param {string} link
+ * @return {import('@photogabble/eleventy-plugin-interlinker').DeadLinkKind}
+ */
+const linkKind = (link) => link.startsWith('![[')
+  ? 'embed'
+  : (link.startsWith('[[') ? 'wikilink' : 'html');
+
+/**
+ * Returns the Levenshtein edit distance between two strings.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+export const editDistance = (a, b) => {
+  let previous = Array.from({length: b.length + 1}, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Matches the front matter at the start of a template, e.g. `---\ntitle: Page\n---`.
+ *
+ * @type {RegExp}
+ */
+const frontMatterRegExp = /^---[^\n]*\n(?:[\s\S]*?\n)?---[^\S\n]*(?=\n|$)/;
+
+/**
+ * Blanks a template's front matter, code and HTML comments, keeping the offsets of everything else, so that
+ * links are only located where they're found when discovering links.
+ *
+ * @param {string} document
+ * @param {string} file
+ * @return {string}
+ */
+const maskDocument = (document, file) => maskCode(
+  document.replace(frontMatterRegExp, (frontMatter) => frontMatter.replace(/[^\n]/g, ' ')),
+  path.extname(file).toLowerCase() === '.md'
+);
+
+/**
+ * Returns a RegExp matching a link where it's used: wikilinks that aren't part of an embed of the same
+ * page, and other links delimited as an attribute value or Markdown link destination, so that the
+ * start of a longer href isn't matched.
+ *
+ * @param {string} link
+ * @return {RegExp}
+ */
+const linkRegExp = (link) => {
+  if (link.startsWith('![[')) return new RegExp(escapeRegExp(link));
+  if (link.startsWith('[[')) return new RegExp(`(?<!!)${escapeRegExp(link)}`);
+  return new RegExp(`(?<=^|[\\s"'(<=])${escapeRegExp(link)}(?=$|[\\s"')>])`);
+};
+
+/**
+ * Returns the 1-based line and column of the first occurrence of a link within a document, or null
+ * for both if it can't be found, for example when the link is output by a layout or shortcode.
+ *
+ * @param {string|undefined} document the document with front matter and code masked, see maskDocument
+ * @param {string} link
+ * @return {{line: number|null, column: number|null}}
+ */
+const linkPosition = (document, link) => {
+  const idx = document ? document.search(linkRegExp(link)) : -1;
+  if (idx === -1) return {line: null, column: null};
+
+  const before = document.slice(0, idx).split('\n');
+  return {line: before.length, column: before[before.length - 1].length + 1};
+};
+
+/**
+ * Console labels for each kind of dead link.
+ *
+ * @type {Record<string, string>}
+ */
+const kindLabels = {
+  wikilink: 'Wikilink',
+  embed: 'Embed',
+  image: 'Image',
+  html: 'Link',
+};
+
+/**
+ * Console descriptions for each reason a link is dead.
+ *
+ * @type {Record<string, string>}
+ */
+const reasonDescriptions = {
+  'missing-page': 'found pointing to non-existent page',
+  'missing-anchor': 'found pointing to non-existent anchor',
+  'missing-asset': 'found pointing to non-existent file',
+  'embed-cycle': 'found creating an embed cycle',
+};
+
+/**
+ * The maximum number of "did you mean" suggestions reported for each dead link.
+ *
+ * @type {number}
+ */
+const maxSuggestions = 3;
+
 export default class DeadLinks {
   constructor() {
     this.gravestones = new Map;
+    this.anchorGravestones = new Map;
+    this.cycleGravestones = new Map;
+    this.assetGravestones = new Map;
+    this.identifiers = new Map;
     this.fileSrc = 'unknown';
   }
 
@@ -13,47 +153,220 @@ export default class DeadLinks {
   }
 
   /**
+   * Sets the titles and aliases, mapped to their page, that links to missing pages are compared
+   * against for suggestions.
+   *
+   * @param {Map<string, any>} identifiers
+   */
+  setIdentifiers(identifiers) {
+    this.identifiers = identifiers;
+  }
+
+  /**
+   * @param {string} link
+   * @param {string|undefined} fileSrc defaults to the file source set via setFileSrc
+   * @param {import('@photogabble/eleventy-plugin-interlinker').DeadLinkKind|undefined} kind defaults to the kind inferred from the link
+   */
+  add(link, fileSrc = undefined, kind = undefined) {
+    this.bury(this.gravestones, link, fileSrc, kind, 'missing-page');
+  }
+
+  /**
+   * Records a link whose page exists but whose fragment identifier (anchor) could
+   * not be found on that page.
+   *
+   * @param {string} link
+   * @param {string|undefined} fileSrc defaults to the file source set via setFileSrc
+   * @param {import('@photogabble/eleventy-plugin-interlinker').DeadLinkKind|undefined} kind defaults to the kind inferred from the link
+   */
+  addAnchor(link, fileSrc = undefined, kind = undefined) {
+    this.bury(this.anchorGravestones, link, fileSrc, kind, 'missing-anchor');
+  }
+
+  /**
+   * Records an embed of an image or other media file that could not be found.
+   *
+   * @param {string} link
+   * @param {string|undefined} fileSrc defaults to the file source set via setFileSrc
+   * @param {import('@photogabble/eleventy-plugin-interlinker').DeadLinkKind|undefined} kind defaults to the kind inferred from the link
+   */
+  addAsset(link, fileSrc = undefined, kind = undefined) {
+    this.bury(this.assetGravestones, link, fileSrc, kind, 'missing-asset');
+  }
+
+  /**
+   * Records an embed that would embed itself, either directly or via the pages it embeds.
+   *
+   * @param {string} link
+   * @param {string|undefined} fileSrc defaults to the file source set via setFileSrc
+   */
+  addCycle(link, fileSrc = undefined) {
+    this.bury(this.cycleGravestones, link, fileSrc, undefined, 'embed-cycle');
+  }
+
+  /**
+   * Records a gravestone for the file a dead link was found in, each file is only recorded once per
+   * link as the same link may be found more than once, e.g. in both a page's source and its rendered
+   * output.
+   *
+   * @param {Map<string, Array<import('@photogabble/eleventy-plugin-interlinker').Gravestone>>} gravestones
    * @param {string} link
+   * @param {string|undefined} fileSrc
+   * @param {import('@photogabble/eleventy-plugin-interlinker').DeadLinkKind|undefined} kind
+   * @param {import('@photogabble/eleventy-plugin-interlinker').DeadLinkReason} reason
    */
-  add(link) {
+  bury(gravestones, link, fileSrc, kind, reason) {
     if (!this.fileSrc) this.fileSrc = 'unknown';
 
-    const names = this.gravestones.has(link)
-      ? this.gravestones.get(link)
+    const file = fileSrc ?? this.fileSrc;
+    const graves = gravestones.has(link)
+      ? gravestones.get(link)
       : [];
 
-    names.push(this.fileSrc)
+    if (!graves.some(grave => grave.file === file)) graves.push({file, kind: kind ?? linkKind(link), reason});
+
+    gravestones.set(link, graves);
+  }
+
+  /**
+   * Returns up to three titles or aliases, or for HTML links page urls, that are within a small edit
+   * distance of a link to a missing page, closest first.
+   *
+   * @param {string} link
+   * @param {import('@photogabble/eleventy-plugin-interlinker').DeadLinkKind} kind
+   * @return {Array<string>}
+   */
+  suggestions(link, kind) {
+    const target = kind === 'html'
+      ? link.split(/[?#]/)[0]
+      : linkIdentifier(link).split('#')[0].trim();
+
+    if (target.length === 0) return [];
+
+    const candidates = kind === 'html'
+      ? new Set([...this.identifiers.values()].map(page => page?.url).filter(url => typeof url === 'string'))
+      : new Set(this.identifiers.keys());
+
+    // Roughly one edit in every three characters is allowed, so that short links don't match everything.
+    const threshold = Math.max(1, Math.round(target.length / 3));
+
+    return [...candidates]
+      .map(candidate => ({candidate, distance: editDistance(target.toLowerCase(), candidate.toLowerCase())}))
+      .filter(({distance}) => distance > 0 && distance <= threshold)
+      .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+      .slice(0, maxSuggestions)
+      .map(({candidate}) => candidate);
+  }
+
+  /**
+   * Returns every dead link found as a structured entry with its kind, the reason it's dead, the file
+   * it was found in and the line and column of its first occurrence within that file, outside of its
+   * front matter and code. Links to
+   * missing pages also include suggestions of what they may have meant to link to.
+   *
+   * @return {Array<import('@photogabble/eleventy-plugin-interlinker').DeadLinkEntry>}
+   */
+  entries() {
+    const documents = new Map;
+    const read = (file) => {
+      if (!documents.has(file)) {
+        try {
+          documents.set(file, maskDocument(fs.readFileSync(file, 'utf8'), file));
+        } catch (e) {
+          documents.set(file, undefined);
+        }
+      }
+      return documents.get(file);
+    };
+
+    const entries = [];
+    for (const gravestones of [this.gravestones, this.anchorGravestones, this.cycleGravestones, this.assetGravestones]) {
+      for (const [link, graves] of gravestones.entries()) {
+        for (const {file, kind, reason} of graves) {
+          entries.push({
+            link,
+            kind,
+            reason,
+            file,
+            ...linkPosition(read(file), link),
+            suggestions: reason === 'missing-page' ? this.suggestions(link, kind) : [],
+          });
+        }
+      }
+    }
 
-    this.gravestones.set(link, names);
+    return entries;
   }
 
   /**
+   * Counts the dead links found, each link counted once per file it was found in. Files matching
+   * one of `allowFiles` and links matching one of `allowLinks` are not counted.
+   *
+   * @param {Array<string>} allowFiles globs matched against file paths relative to the working directory
+   * @param {Array<string|RegExp>} allowLinks globs matched against the link (or wikilink identifier) or RegExp
+   * @return {number}
+   */
+  count(allowFiles = [], allowLinks = []) {
+    const matcher = (globs) => globs.length > 0 ? picomatch(globs, {dot: true}) : () => false;
+
+    const isAllowedFile = matcher(allowFiles);
+    const isAllowedGlob = matcher(allowLinks.filter(pattern => typeof pattern === 'string'));
+    const linkRegExps = allowLinks.filter(pattern => pattern instanceof RegExp);
+
+    const isAllowedLink = (link) => linkRegExps.some(regex => regex.test(link))
+      || isAllowedGlob(link)
+      || isAllowedGlob(linkIdentifier(link));
+
+    let count = 0;
+    for (const gravestones of [this.gravestones, this.anchorGravestones, this.cycleGravestones, this.assetGravestones]) {
+      for (const [link, graves] of gravestones.entries()) {
+        if (isAllowedLink(link)) continue;
+        count += graves.filter(({file}) => !isAllowedFile(path.relative(process.cwd(), file).replace(/\\/g, '/'))).length;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Reports each dead link to the console, grouped by link, or writes them to `.dead-links.json` within
+   * the project root as an array of structured entries.
+   *
    * @param {'console'|'json'} format
    */
   report(format) {
+    const entries = this.entries();
+
     if (format === 'console') {
-      for (const [link, files] of this.gravestones.entries()) {
+      const grouped = new Map;
+      for (const entry of entries) {
+        const key = `${entry.reason}:${entry.link}`;
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(entry);
+      }
+
+      for (const graves of grouped.values()) {
+        const {link, kind, reason, suggestions} = graves[0];
+        const didYouMean = suggestions.length > 0
+          ? ` (did you mean ${suggestions.join(', ')}?)`
+          : '';
+
         console.warn(
           chalk.blue('[@photogabble/wikilinks]'),
           chalk.yellow('WARNING'),
-          `${(link.includes('href') ? 'Link' : 'Wikilink')} (${link}) found pointing to to non-existent page in:`
+          `${kindLabels[kind] ?? 'Link'} (${link}) ${reasonDescriptions[reason]}${didYouMean} in:`
         );
 
-        for (const file of files) {
-          console.warn(`\t- ${file}`);
+        for (const {file, line, column} of graves) {
+          console.warn(`\t- ${line === null ? file : `${file}:${line}:${column}`}`);
         }
       }
       return;
     }
 
-    let obj = {};
-    for (const [link, files] of this.gravestones.entries()) {
-      obj[link] = files;
-    }
-
     fs.writeFileSync(
       path.join(process.env.ELEVENTY_ROOT, '.dead-links.json'),
-      JSON.stringify(obj)
+      JSON.stringify(entries)
     );
   }
 
@@ -63,5 +376,9 @@ export default class DeadLinks {
   clear() {
     this.fileSrc = 'unknown';
     this.gravestones.clear();
+    this.anchorGravestones.clear();
+    this.cycleGravestones.clear();
+    this.assetGravestones.clear();
+    this.identifiers = new Map;
   }
 }
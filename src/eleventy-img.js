@@ -0,0 +1,33 @@
+/**
+ * Returns an image transformer, for use as the `imageTransform` option, that generates responsive `<picture>`
+ * markup using `@11ty/eleventy-img`. This is an optional peer dependency that must be installed separately.
+ *
+ * The image options are passed to eleventy-img, e.g. `widths`, `formats`, `outputDir` and `urlPath`, while the
+ * HTML options are added as attributes to the generated markup, e.g. `sizes`. An embed's width, e.g. `|300`, is
+ * used as the generated width unless `widths` is set.
+ *
+ * @param {Object} imageOptions
+ * @param {Object} htmlOptions
+ * @return {function(import('@photogabble/eleventy-plugin-interlinker').ImageEmbed): Promise<string>}
+ */
+export const eleventyImageTransform = (imageOptions = {}, htmlOptions = {}) => async (image) => {
+  let Image;
+  try {
+    ({default: Image} = await import('@11ty/eleventy-img'));
+  } catch (e) {
+    throw new Error('The eleventyImageTransform image transformer requires @11ty/eleventy-img to be installed');
+  }
+
+  const metadata = await Image(image.path, {
+    widths: image.width ? [Number(image.width)] : ['auto'],
+    ...imageOptions,
+  });
+
+  return Image.generateHTML(metadata, {
+    alt: image.alt,
+    sizes: image.width ? `${image.width}px` : '100vw',
+    decoding: 'async',
+    ...(image.loading ? {loading: image.loading} : {}),
+    ...htmlOptions,
+  });
+};
@@ -0,0 +1,42 @@
+import {decodeHTML} from 'entities';
+
+/**
+ * Converts a fragment of template source (Markdown and/or HTML) into plain text. This is
+ * intentionally simple and only intended for producing short excerpts.
+ *
+ * @param {string} source
+ * @return {string}
+ */
+const toPlainText = (source) => decodeHTML(source
+  // Wikilinks and embeds are replaced with their display text, or page reference without anchor.
+  .replace(/!?\[\[([^|\]\n]+?)(?:\|([^\]\n]+?))?]]/g, (_, name, text) => (text ?? name.replace(/(?<!\/)#.*$/, '').replace('/#', '#')).trim())
+  // Markdown links and images are replaced with their text.
+  .replace(/!?\[([^\]\n]*)]\([^)\n]*\)/g, '$1')
+  .replace(/<[^>]*>/g, '')
+  .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+  .replace(/[*_~`]/g, ''))
+  .replace(/\s+/g, ' ');
+
+/**
+ * Extracts a short plain text excerpt of the paragraph that contains the source between `start`
+ * and `end`, including up to `length` characters either side of it.
+ *
+ * @param {string} document
+ * @param {number} start
+ * @param {number} end
+ * @param {number} length
+ * @return {string}
+ */
+export const extractExcerpt = (document, start, end, length = 80) => {
+  const paragraphStart = document.lastIndexOf('\n\n', start);
+  const paragraphEnd = document.indexOf('\n\n', end);
+
+  let before = toPlainText(document.slice(paragraphStart === -1 ? 0 : paragraphStart, start)).trimStart();
+  let after = toPlainText(document.slice(end, paragraphEnd === -1 ? undefined : paragraphEnd)).trimEnd();
+
+  // Truncate to whole words, the extra character is so a word ending exactly at the limit is kept.
+  if (before.length > length) before = '…' + before.slice(-(length + 1)).replace(/^\S*\s/, '');
+  if (after.length > length) after = after.slice(0, length + 1).replace(/\s\S*$/, '') + '…';
+
+  return `${before}${toPlainText(document.slice(start, end))}${after}`.trim();
+};
@@ -1,54 +1,237 @@
+/**
+ * Returns a page's aliases as an array, aliases may be defined in front matter as either
+ * a string or an array of strings.
+ *
+ * @param {any} page
+ * @return {Array<string>}
+ */
+export const pageAliases = (page) => (page.data.aliases && Array.isArray(page.data.aliases))
+  ? page.data.aliases
+  : (typeof page.data.aliases === 'string' ? [page.data.aliases] : []);
+
+/**
+ * Returns each identifier a page can be referenced by from a Wikilink along with
+ * its kind; one of title, fileSlug or alias.
+ *
+ * @param {any} page
+ * @return {Array<{identifier: string, kind: string}>}
+ */
+const pageIdentifiers = (page) => [
+  {identifier: page.data.title, kind: 'title'},
+  {identifier: page.fileSlug, kind: 'fileSlug'},
+  ...pageAliases(page).map(identifier => ({identifier, kind: 'alias'})),
+].filter(({identifier}) => typeof identifier === 'string' && identifier.length > 0);
+
+/**
+ * Finds identifiers (titles, file slugs and aliases) shared by more than one page, these make
+ * Wikilink lookup ambiguous. Pages sharing an inputPath, such as those generated via
+ * pagination, are not considered to conflict with one another.
+ *
+ * @param {Array<any>} allPages
+ * @return {Map<string, Array<{page: any, kind: string}>>}
+ */
+export const findConflicts = (allPages = []) => {
+  const index = new Map();
+
+  for (const page of allPages) {
+    for (const {identifier, kind} of pageIdentifiers(page)) {
+      if (!index.has(identifier)) index.set(identifier, []);
+      index.get(identifier).push({page, kind});
+    }
+  }
+
+  const conflicts = new Map();
+
+  for (const [identifier, matches] of index.entries()) {
+    if (new Set(matches.map(({page}) => page.inputPath)).size > 1) conflicts.set(identifier, matches);
+  }
+
+  return conflicts;
+}
+
+/**
+ * Converts a string into a slug for comparison, e.g. `Artificial Intelligence` becomes `artificial-intelligence`.
+ *
+ * @param {string} str
+ * @return {string}
+ */
+const slugify = (str) => str
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+const unicodeForms = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+/**
+ * Returns a function for normalising page identifiers and link names so that they can be compared
+ * using the configured link matching strategy, or null if links should only be matched exactly.
+ * A `unicode` value of true uses the NFC form.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').LinkMatchingOptions|undefined} matching
+ * @return {((str: string) => string)|null}
+ */
+export const linkNormaliser = (matching = {}) => {
+  const {caseInsensitive = false, collapseWhitespace = false, slugify: slugs = false} = matching ?? {};
+  const unicode = matching?.unicode === true ? 'NFC' : (matching?.unicode ?? false);
+
+  if (unicode !== false && !unicodeForms.includes(unicode)) {
+    throw new Error(`Invalid linkMatching unicode option "${unicode}", expected true, false or one of ${unicodeForms.join(', ')}`);
+  }
+
+  if (!caseInsensitive && !collapseWhitespace && !unicode && !slugs) return null;
+
+  return (str) => {
+    let normalised = str;
+    if (unicode) normalised = normalised.normalize(unicode);
+    if (collapseWhitespace) normalised = normalised.trim().replace(/\s+/g, ' ');
+    if (caseInsensitive) normalised = normalised.toLocaleLowerCase();
+    if (slugs) normalised = slugify(normalised);
+    return normalised;
+  };
+};
+
 /**
  * Page Lookup Service:
- * This wraps the 11ty all pages collection providing two methods for finding pages.
+ * This indexes the 11ty all pages collection by url, filePathStem, title, fileSlug and alias providing two
+ * methods for finding pages, and one for listing the titles and aliases pages can be mentioned by. It's intended to be built once per build and shared between pages.
+ *
+ * When more than one page matches a link the first matching page in the collection is returned, as if
+ * the collection were searched in order, unless the `duplicates` option is set to `tiebreak` in which
+ * case pages are chosen by identifier precedence (url, title, file slug then alias) and then by inputPath.
+ *
+ * If the `linkMatching` option configures a matching strategy, then titles, file slugs and aliases that
+ * don't match exactly are compared again after normalisation.
  *
  * @param {Array<any>} allPages
+ * @param {import('@photogabble/eleventy-plugin-interlinker').EleventyPluginInterlinkOptions} opts
  * @return {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService}
  */
-export const pageLookup = (allPages = []) => {
+export const pageLookup = (allPages = [], opts = {}) => {
+  const normalise = linkNormaliser(opts.linkMatching);
+
+  const byUrl = new Map();
+  const byFilePathStem = new Map();
+  const byTitle = new Map();
+  const byFileSlug = new Map();
+  const byAlias = new Map();
+
+  // Identifiers keyed by their normalised form, only populated when a matching strategy is configured.
+  const byNormalisedTitle = new Map();
+  const byNormalisedFileSlug = new Map();
+  const byNormalisedAlias = new Map();
+
+  const index = (map, key, page) => {
+    if (typeof key !== 'string') return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(page);
+  };
+
+  for (const page of allPages) {
+    index(byUrl, page.url, page);
+    index(byFilePathStem, page.filePathStem, page);
+    if (page.data.title) index(byTitle, page.data.title, page);
+    index(byFileSlug, page.fileSlug, page);
+    for (const alias of pageAliases(page)) index(byAlias, alias, page);
+
+    if (normalise) {
+      if (page.data.title) index(byNormalisedTitle, normalise(page.data.title), page);
+      if (page.fileSlug) index(byNormalisedFileSlug, normalise(page.fileSlug), page);
+      for (const alias of pageAliases(page)) index(byNormalisedAlias, normalise(alias), page);
+    }
+  }
+
+  if (opts.duplicates === 'tiebreak') {
+    for (const map of [byUrl, byFilePathStem, byTitle, byFileSlug, byAlias, byNormalisedTitle, byNormalisedFileSlug, byNormalisedAlias]) {
+      for (const pages of map.values()) {
+        pages.sort((a, b) => `${a.inputPath}`.localeCompare(`${b.inputPath}`) || `${a.url}`.localeCompare(`${b.url}`));
+      }
+    }
+  }
+
+  const first = (map, key) => map.get(key)?.[0];
+
+  // Each page's position within the collection, for finding which of several matches comes first.
+  const position = new Map(allPages.map((page, idx) => [page, idx]));
+  const tiebreak = opts.duplicates === 'tiebreak';
+
+  /**
+   * Returns the match that comes first: by collection order, or when tie breaking by the order of the
+   * candidates, which are listed in identifier precedence. A page matching more than one identifier
+   * is matched by the one with the highest precedence.
+   *
+   * @param {Array<{page: any, byAlias: boolean}>} candidates
+   * @return {{page: any, byAlias: boolean}|undefined}
+   */
+  const earliest = (candidates) => {
+    let match;
+    for (const candidate of candidates) {
+      if (!candidate.page) continue;
+      if (tiebreak) return candidate;
+      if (!match || position.get(candidate.page) < position.get(match.page)) match = candidate;
+    }
+    return match;
+  };
+
   return {
     findByLink: (link) => {
-      let foundByAlias = false;
-      const page = allPages.find((page) => {
+      // Order of lookup:
+      // 1. if is path link, return filePathStem match state
+      // 2. match file url to link href
+      // 3. match file title to link identifier (name)
+      // 4. match file slug to link identifier (name)
+      // 5. match file based upon alias
+      // Steps 3 to 5 are then repeated with normalised identifiers if a matching strategy is configured.
 
-        // Order of lookup:
-        // 1. if is path link, return filePathStem match state
-        // 2. match file url to link href
-        // 3. match file slug to link slug
-        // 4. match file title to link identifier (name)
-        // 5. match file based upon alias
+      let page;
+      let foundByAlias = false;
+      let foundByNormalisation = false;
 
-        if (link.isPath) {
-          return page.filePathStem === link.name;
-        }
+      if (link.isPath) {
+        page = first(byFilePathStem, link.name);
+      } else {
+        let match = earliest([
+          {page: link.href ? first(byUrl, link.href) : undefined, byAlias: false},
+          {page: link.href ? first(byUrl, `${link.href}/`) : undefined, byAlias: false},
+          {page: first(byTitle, link.name), byAlias: false},
+          {page: first(byFileSlug, link.name), byAlias: false},
+          {page: first(byAlias, link.name), byAlias: true},
+        ]);
 
-        if (link.href && (page.url === link.href || page.url === `${link.href}/`)) {
-          return true;
-        }
+        if (!match && normalise && link.name) {
+          const name = normalise(link.name);
+          match = earliest([
+            {page: first(byNormalisedTitle, name), byAlias: false},
+            {page: first(byNormalisedFileSlug, name), byAlias: false},
+            {page: first(byNormalisedAlias, name), byAlias: true},
+          ]);
 
-        if ((page.data.title && page.data.title === link.name) || page.fileSlug === link.name ) {
-          return true;
+          foundByNormalisation = !!match;
         }
 
-        const aliases = ((page.data.aliases && Array.isArray(page.data.aliases))
-            ? page.data.aliases
-            : (typeof page.data.aliases === 'string' ? [page.data.aliases] : [])
-        ).reduce(function (set, alias) {
-          set.add(alias);
-          return set;
-        }, new Set());
-
-        foundByAlias = aliases.has(link.name);
-        return foundByAlias;
-      });
+        page = match?.page;
+        foundByAlias = !!match?.byAlias;
+      }
 
       return {
         found: !!page,
         page,
         foundByAlias,
+        foundByNormalisation,
       }
     },
 
-    findByFile: (file) => allPages.find((page) => page.url === file.page.url),
+    findByFile: (file) => first(byUrl, file.page.url),
+
+    identifiers: () => {
+      const identifiers = new Map();
+      for (const map of [byTitle, byAlias]) {
+        for (const identifier of map.keys()) {
+          if (!identifiers.has(identifier)) identifiers.set(identifier, first(map, identifier));
+        }
+      }
+      return identifiers;
+    },
   }
 }
@@ -0,0 +1,101 @@
+import {JSDOM} from 'jsdom';
+
+/**
+ * Normalises heading text and anchor identifiers so that they can be compared, this
+ * mirrors Obsidian.md in being forgiving of case and surrounding whitespace.
+ *
+ * @param {string} str
+ * @return {string}
+ */
+const normaliseHeading = (str) => str.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * @param {Node} node
+ * @return {number} heading level 1-6, or 0 if the node isn't a heading element
+ */
+const headingLevel = (node) => {
+  if (node.nodeType !== 1) return 0;
+  const match = node.tagName.match(/^H([1-6])$/);
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+/**
+ * Extracts the section of an HTML document that begins with the heading identified by
+ * `heading`, up to but not including the next heading of the same or higher level. The
+ * heading may be referenced either by its text content or by its id attribute.
+ *
+ * @param {string} html
+ * @param {string} heading
+ * @return {string|null} the section HTML, or null if the heading could not be found
+ */
+export const extractHeadingSection = (html, heading) => {
+  const fragment = JSDOM.fragment(html);
+  const wanted = normaliseHeading(heading);
+
+  const start = Array.from(fragment.querySelectorAll('h1,h2,h3,h4,h5,h6')).find(
+    (el) => el.id === heading || normaliseHeading(el.textContent) === wanted
+  );
+
+  if (!start) return null;
+
+  const level = headingLevel(start);
+  const section = fragment.ownerDocument.createElement('div');
+
+  let node = start;
+  while (node) {
+    const next = node.nextSibling;
+    section.appendChild(node);
+
+    const nextLevel = next ? headingLevel(next) : 0;
+    if (nextLevel > 0 && nextLevel <= level) break;
+    node = next;
+  }
+
+  return section.innerHTML;
+};
+
+/**
+ * Extracts the block with the id `blockId` from an HTML document, this is used for embedding block
+ * references. List items are wrapped in their parent list element so that they remain valid HTML.
+ *
+ * @param {string} html
+ * @param {string} blockId e.g. `^block-id`
+ * @return {string|null} the block HTML, or null if no block has that id
+ */
+export const extractBlock = (html, blockId) => {
+  const fragment = JSDOM.fragment(html);
+  const block = fragment.getElementById(blockId);
+
+  if (!block) return null;
+
+  if (block.tagName === 'LI' && block.parentElement) {
+    const list = block.parentElement.tagName.toLowerCase();
+    return `<${list}>${block.outerHTML}</${list}>`;
+  }
+
+  return block.outerHTML;
+};
+
+/**
+ * Finds all anchors within an HTML document that a link fragment identifier could reference, these
+ * are the id attribute of every element along with the normalised text of every heading.
+ *
+ * @param {string} html
+ * @return {Set<string>}
+ */
+export const findAnchors = (html) => {
+  const fragment = JSDOM.fragment(html);
+  const anchors = new Set();
+
+  for (const el of fragment.querySelectorAll('[id]')) anchors.add(el.id);
+  for (const el of fragment.querySelectorAll('h1,h2,h3,h4,h5,h6')) anchors.add(normaliseHeading(el.textContent));
+
+  return anchors;
+};
+
+/**
+ * @param {Set<string>} anchors as returned by findAnchors
+ * @param {string} anchor
+ * @return {boolean}
+ */
+export const hasAnchor = (anchors, anchor) => anchors.has(anchor) || anchors.has(normaliseHeading(anchor));
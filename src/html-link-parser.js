@@ -1,4 +1,53 @@
 import {JSDOM} from 'jsdom';
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+const safeDecodeURIComponent = (str) => {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return str;
+  }
+};
+
+/**
+ * Matches template syntax, e.g. `{{ post.url }}`, `{% link %}` or `<%= url %>`. Links are found in each page's source
+ * before it's rendered, so hrefs containing template syntax aren't links to anything yet.
+ *
+ * @type {RegExp}
+ */
+const templateSyntaxRegExp = /\{\{|\{%|<%/;
+
+/**
+ * @param {string} href
+ * @return {boolean}
+ */
+export const hasTemplateSyntax = (href) => templateSyntaxRegExp.test(href);
+
+/**
+ * Link relationships of `<link>` elements that navigate to other pages, `<link>` elements with any other relationship,
+ * such as stylesheets, icons, feeds and author profiles, reference resources rather than pages and so are ignored.
+ *
+ * @type {Array<string>}
+ */
+const pageRels = ['prev', 'next', 'canonical', 'first', 'last', 'up'];
+
+/**
+ * Returns the urls a page linked to by the given path may have, allowing `/about/index.html`
+ * and `/about.html` to match the page at `/about/`.
+ *
+ * @param {string} path
+ * @return {Array<string>}
+ */
+const urlVariants = (path) => {
+  const variants = [path];
+  if (path.endsWith('/index.html')) variants.push(path.slice(0, -'index.html'.length));
+  else if (path.endsWith('.html')) variants.push(`${path.slice(0, -'.html'.length)}/`);
+  return variants;
+};
+
 export default class HTMLLinkParser {
 
   /**
@@ -10,32 +59,92 @@ export default class HTMLLinkParser {
 
   /**
    * @param { DeadLinks } deadLinks
+   * @param { import('@photogabble/eleventy-plugin-interlinker').EleventyPluginInterlinkOptions } opts
    */
-  constructor(deadLinks) {
+  constructor(deadLinks, opts = {}) {
     this.deadLinks = deadLinks;
+    this.opts = opts;
+  }
+
+  /**
+   * Returns the path, relative to the site root, that a href links to or null if it links to another site.
+   * Relative hrefs are resolved against the linking page's url, except for those to Markdown files which are
+   * resolved against the linking page's file path stem. Absolute URLs within the `siteUrl` option are internal.
+   * Hrefs containing template syntax, e.g. `{{ post.url }}`, aren't resolved.
+   *
+   * @param {string} href
+   * @param {string|undefined} pageUrl
+   * @param {string|undefined} filePathStem
+   * @return {string|null}
+   */
+  internalPath(href, pageUrl = undefined, filePathStem = undefined) {
+    if (hasTemplateSyntax(href)) return null;
+
+    if (href.startsWith('/') && !href.startsWith('//')) return href;
+
+    // Absolute and protocol relative URLs are only internal if they're within the site url.
+    if (href.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+      if (!this.opts.siteUrl) return null;
+
+      let url, siteUrl;
+      try {
+        siteUrl = new URL(this.opts.siteUrl);
+        url = new URL(href, siteUrl);
+      } catch (e) {
+        return null;
+      }
+
+      const base = siteUrl.pathname.endsWith('/') ? siteUrl.pathname : `${siteUrl.pathname}/`;
+      if (url.host !== siteUrl.host || !`${url.pathname}/`.startsWith(base)) return null;
+
+      return `/${url.pathname.slice(base.length)}${url.search}${url.hash}`;
+    }
+
+    // Links to Markdown files, e.g. `sibling.md`, are relative to the linking file rather than its url.
+    const isMarkdown = /\.(md|markdown)(?:[?#]|$)/i.test(href);
+    const base = isMarkdown ? filePathStem : pageUrl;
+    if (typeof base !== 'string' || !base.startsWith('/')) return null;
+
+    const url = new URL(href, `http://localhost${base}`);
+    return `${url.pathname}${url.search}${url.hash}`;
   }
 
   /**
    * Parses a single HTML link into the link object understood by the Interlinker. Unlike with Wikilinks we only
-   * care about the href so that we can look up the linked page record.
+   * care about the href so that we can look up the linked page record. Query strings are ignored and links to
+   * `.html` files also match pages at the equivalent directory url, e.g. `/about.html` matches `/about/`.
    *
    * @param {string} link
    * @param {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService} pageDirectory
+   * @param {string|undefined} pageUrl the linking page's url, for resolving relative links
+   * @param {string|undefined} filePathStem the linking page's file path stem, for resolving relative links to Markdown files
    * @return {import('@photogabble/eleventy-plugin-interlinker').LinkMeta}
    */
-  parseSingle(link, pageDirectory) {
+  parseSingle(link, pageDirectory, pageUrl = undefined, filePathStem = undefined) {
+    const internal = this.internalPath(link.replace("\\", "").trim(), pageUrl, filePathStem) ?? link;
+
+    const [withQuery, anchor] = internal.split("#");
+    const href = withQuery.split("?")[0];
+
     const meta = {
-      href: link
-        .replace(/.(md|markdown)\s?$/i, "")
-        .replace("\\", "")
-        .trim()
-        .split("#")[0],
+      href: href.replace(/.(md|markdown)\s?$/i, ""),
+      anchor: anchor ? safeDecodeURIComponent(anchor) : null,
+      link,
       isEmbed: false,
     };
 
-    const {found, page} = pageDirectory.findByLink(meta);
+    let page;
+    for (const variant of urlVariants(meta.href)) {
+      ({page} = pageDirectory.findByLink({...meta, href: variant}));
+      if (page) break;
+    }
 
-    if (!found) {
+    // Markdown file links may also be matched by the linked file's path, e.g. `My%20Note.md` by `/My Note`.
+    if (!page && meta.href !== href) {
+      ({page} = pageDirectory.findByLink({...meta, name: safeDecodeURIComponent(meta.href), isPath: true}));
+    }
+
+    if (!page) {
       this.deadLinks.add(link);
       return meta;
     }
@@ -49,33 +158,59 @@ export default class HTMLLinkParser {
   /**
    * @param {Array<string>} links
    * @param {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService} pageDirectory
+   * @param {string|undefined} pageUrl
+   * @param {string|undefined} filePathStem
    * @return {Array<import('@photogabble/eleventy-plugin-interlinker').LinkMeta>}
    */
-  parseMultiple(links, pageDirectory) {
-    return links.map(link => this.parseSingle(link, pageDirectory));
+  parseMultiple(links, pageDirectory, pageUrl = undefined, filePathStem = undefined) {
+    return links.map(link => this.parseSingle(link, pageDirectory, pageUrl, filePathStem));
   }
 
   /**
-   * Find's all internal href links within an HTML document and returns the parsed result.
+   * Find's all internal links within an HTML document and returns the parsed result. This includes the href of
+   * `<a>` and `<area>` elements and navigational `<link>` elements, e.g. `rel="next"`, that are
+   * either root relative, relative to the linking page or absolute URLs within the `siteUrl` option.
+   *
    * @param {string} document
    * @param {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService} pageDirectory
+   * @param {string|undefined} pageUrl the linking page's url, for resolving relative links
+   * @param {string|undefined} filePathStem the linking page's file path stem, for resolving relative links to Markdown files
    * @return {Array<import('@photogabble/eleventy-plugin-interlinker').LinkMeta>}
    */
-  find(document, pageDirectory) {
+  find(document, pageDirectory, pageUrl = undefined, filePathStem = undefined) {
     const dom = new JSDOM(document);
-    const anchors = dom.window.document.getElementsByTagName('a');
+    const elements = dom.window.document.querySelectorAll('a[href], area[href], link[href]');
     const toParse = [];
+    const texts = [];
+
+    for (const element of elements) {
+      // Ignore any links within either code or pre tags
+      if (element.closest('code,pre')) continue;
 
-    for (const anchor of anchors) {
-      // Ignore any anchor tags within either code or pre tags
-      if (anchor.closest('code,pre')) continue;
-      // Ignore any links that don't begin with / denoting internal links
-      if (anchor.href.startsWith('/')) toParse.push(anchor.href);
+      const tagName = element.tagName.toLowerCase();
+      if (tagName === 'link') {
+        const rels = (element.getAttribute('rel') ?? '').toLowerCase().split(/\s+/);
+        if (!rels.some(rel => pageRels.includes(rel))) continue;
+      }
+
+      // Ignore any links to other sites and links to a fragment of the same page
+      const href = element.getAttribute('href').trim();
+      if (href === '' || href.startsWith('#') || this.internalPath(href, pageUrl, filePathStem) === null) continue;
+
+      toParse.push(href);
+      texts.push(tagName === 'a'
+        ? element.textContent.trim()
+        : (element.getAttribute(tagName === 'area' ? 'alt' : 'title') ?? '').trim());
     }
 
     return this.parseMultiple(
       toParse,
-      pageDirectory
-    )
+      pageDirectory,
+      pageUrl,
+      filePathStem
+    ).map((meta, i) => {
+      meta.text = texts[i];
+      return meta;
+    });
   }
 }
@@ -1,7 +1,44 @@
 import HTMLLinkParser from './html-link-parser.js';
+import MarkdownLinkParser from './markdown-link-parser.js';
 import WikilinkParser from './wikilink-parser.js';
 import DeadLinks from './dead-links.js';
-import {pageLookup} from './find-page.js';
+import LinkGraph from './link-graph.js';
+import Assets from './assets.js';
+import UnlinkedMentions from './unlinked-mentions.js';
+import {findConflicts, pageLookup} from './find-page.js';
+import {findAnchors, hasAnchor} from './html-fragments.js';
+import {extractExcerpt} from './excerpt.js';
+import {EleventyRenderPlugin} from '@11ty/eleventy';
+import chalk from 'chalk';
+
+/**
+ * Comparison functions for each of the `backlinksSort` options.
+ *
+ * @type {Object<string, function(Object, Object): number>}
+ */
+const backlinkComparators = {
+  title: (a, b) => `${a.title ?? ''}`.localeCompare(`${b.title ?? ''}`) || a.url.localeCompare(b.url),
+  url: (a, b) => a.url.localeCompare(b.url),
+  date: (a, b) => (new Date(a.date ?? 0) - new Date(b.date ?? 0)) || a.url.localeCompare(b.url),
+};
+
+/**
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta|import('@photogabble/eleventy-plugin-interlinker').LinkMeta} link
+ * @return {'wikilink'|'embed'|'html'|'mention'}
+ */
+const linkType = (link) => {
+  if (link.isEmbed) return 'embed';
+  if (link.isMention) return 'mention';
+  return 'name' in link ? 'wikilink' : 'html';
+};
+
+/**
+ * Returns true if the page's template is rendered as Markdown.
+ *
+ * @param {*} page
+ * @return {boolean}
+ */
+const isMarkdownPage = (page) => page.page?.templateSyntax?.split(',').includes('md') ?? false;
 
 /**
  * Interlinker:
@@ -17,22 +54,456 @@ export default class Interlinker {
     // Map of WikiLinks pointing to non-existent pages
     this.deadLinks = new DeadLinks();
 
-    // Map of Wikilink Meta that have been resolved by the WikilinkParser
+    // Graph of links between pages
+    this.linkGraph = new LinkGraph();
+
+    // Internal links found in each page's rendered output, keyed by page url, applied once the build has finished
+    this.renderedLinks = new Map();
+
+    // Images and other media files resolved from embeds, copied to the output directory after each build
+    this.assets = new Assets();
+
+    // Plain-text mentions of page titles and aliases that aren't linked
+    this.unlinkedMentions = new UnlinkedMentions();
+
+    // Map of Wikilink Meta that have been resolved by the WikilinkParser, keyed per linking page
     this.linkCache = new Map();
 
+    // Map of page url to the Set of anchors found in that page's compiled content
+    this.anchorCache = new Map();
+
+    // Map of page url to the Set of anchors found in that page's rendered output, including its layouts
+    this.renderedAnchors = new Map();
+
+    // Links with a fragment identifier to check once every page has rendered, see validateAnchors
+    this.pendingAnchors = [];
+
+    // Map of page url to the Set of page urls whose mentions are auto-linked when it's rendered
+    this.autoLinks = new Map();
+
+    // Page directory service for the all pages collection, this is built once per build
+    // and shared between all pages
+    this.pageDirectory = undefined;
+
+    // The all pages collection that pageDirectory was built from
+    this.pageDirectoryFor = undefined;
+
     // Instance of TemplateConfig loaded by the `eleventy.config` event
     this.templateConfig = undefined;
 
     // Instance of EleventyExtensionMap loaded by the `eleventy.extensionmap` event
     this.extensionMap = undefined;
 
+    // Used for keeping each page's backlinks sorted as they are added
+    this.backlinkComparator = typeof opts.backlinksSort === 'function'
+      ? opts.backlinksSort
+      : backlinkComparators[opts.backlinksSort ?? 'title'];
+
     this.wikiLinkParser = new WikilinkParser(opts, this.deadLinks, this.linkCache);
-    this.HTMLLinkParser = new HTMLLinkParser(this.deadLinks);
+    this.HTMLLinkParser = new HTMLLinkParser(this.deadLinks, opts);
+    this.markdownLinkParser = new MarkdownLinkParser(this.HTMLLinkParser);
   }
 
   reset() {
     this.deadLinks.clear();
     this.linkCache.clear();
+    this.anchorCache.clear();
+    this.renderedAnchors.clear();
+    this.pendingAnchors = [];
+    this.autoLinks.clear();
+    this.pageDirectory = undefined;
+    this.pageDirectoryFor = undefined;
+    this.linkGraph.clear();
+    this.renderedLinks.clear();
+    this.unlinkedMentions.clear();
+    this.assets.clear();
+    this.wikiLinkParser.clearAttachmentIndex();
+  }
+
+  /**
+   * Returns the page directory service for the all pages collection. This is only built, and checked
+   * for duplicate identifiers, once per build with the result shared between pages.
+   *
+   * @param {Array<any>} allPages
+   * @return {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService}
+   */
+  getPageDirectory(allPages) {
+    if (this.pageDirectoryFor !== allPages) {
+      this.checkConflicts(allPages);
+      this.pageDirectory = pageLookup(allPages, this.opts);
+      this.pageDirectoryFor = allPages;
+      this.wikiLinkParser.clearAttachmentIndex();
+      this.linkGraph.setPages(allPages);
+      this.unlinkedMentions.setIdentifiers(this.pageDirectory.identifiers());
+      this.deadLinks.setIdentifiers(this.pageDirectory.identifiers());
+    }
+
+    return this.pageDirectory;
+  }
+
+  /**
+   * Checks for titles, file slugs and aliases shared by more than one page, these make linking
+   * ambiguous. Depending upon the `duplicates` option this will either throw an error listing
+   * every conflict, warn of each conflict, or do nothing in the case of `tiebreak`.
+   *
+   * @param {Array<any>} allPages
+   */
+  checkConflicts(allPages) {
+    if (this.opts.duplicates === 'tiebreak') return;
+
+    const conflicts = findConflicts(allPages);
+    if (conflicts.size === 0) return;
+
+    const describe = (identifier, matches) => `"${identifier}" is shared by: ${matches.map(({page, kind}) => `${page.inputPath} (${kind})`).join(', ')}`;
+
+    if (this.opts.duplicates === 'error') {
+      throw new Error(`Found pages sharing the same identifier:\n${
+        Array.from(conflicts.entries()).map(([identifier, matches]) => `\t- ${describe(identifier, matches)}`).join('\n')
+      }`);
+    }
+
+    for (const [identifier, matches] of conflicts.entries()) {
+      console.warn(
+        chalk.blue('[@photogabble/wikilinks]'),
+        chalk.yellow('WARNING'),
+        `Identifier ${describe(identifier, matches)}`
+      );
+    }
+  }
+
+  /**
+   * Compiles a template string using 11ty's template engines, this is the async compile function from
+   * the RenderPlugin.js bundled with 11ty.
+   *
+   * @param {string} content
+   * @param {string} language
+   * @param {Object} data
+   * @return {Promise<string>}
+   */
+  async compileTemplate(content, language, data) {
+    const fn = await EleventyRenderPlugin.String(content, language, {
+      templateConfig: this.templateConfig,
+      extensionMap: this.extensionMap
+    });
+
+    return fn(data);
+  }
+
+  /**
+   * Returns the Set of anchors (element ids and heading text) found within a page's compiled content,
+   * or null if the page could not be compiled, in which case its anchors are not validated.
+   *
+   * @param {*} page
+   * @return {Promise<Set<string>|null>}
+   */
+  async pageAnchors(page) {
+    if (this.anchorCache.has(page.url)) return this.anchorCache.get(page.url);
+    if (!this.templateConfig || !this.extensionMap || !page.template) return null;
+
+    // Not every engine can be compiled from a string (e.g. 11ty.js), anchors on such pages can't be checked.
+    let anchors = null;
+    try {
+      const template = await page.template.read();
+      const html = await this.compileTemplate(template?.content ?? '', page.page.templateSyntax, {...page.data});
+      anchors = findAnchors(html);
+    } catch (e) {
+      anchors = null;
+    }
+
+    this.anchorCache.set(page.url, anchors);
+    return anchors;
+  }
+
+  /**
+   * Records the anchors found in a page's rendered output, this includes those added by its layouts.
+   *
+   * @param {{url: string}} page the 11ty page being rendered
+   * @param {string} content the rendered output
+   */
+  computeRenderedAnchors(page, content) {
+    if (typeof content !== 'string') return;
+    this.renderedAnchors.set(page.url, findAnchors(content));
+  }
+
+  /**
+   * Checks the fragment identifier of each link recorded while computing pages against the anchors of the
+   * linked page. This is invoked once every page has rendered so that anchors added by the linked page's
+   * layouts are found; pages that weren't rendered, e.g. with `permalink: false`, are checked against
+   * their compiled content.
+   *
+   * @return {Promise<void>}
+   */
+  async validateAnchors() {
+    for (const {link, fileSrc} of this.pendingAnchors) {
+      const anchors = this.renderedAnchors.get(link.page.url) ?? await this.pageAnchors(link.page);
+      if (anchors && !hasAnchor(anchors, link.anchor)) this.deadLinks.addAnchor(link.link, fileSrc);
+    }
+
+    this.pendingAnchors = [];
+  }
+
+  /**
+   * Inserts a backlink into a page's backlinks, embeddedBy or unlinked mentions, keeping them ordered as
+   * configured by `backlinksSort`.
+   *
+   * @param {Array<Object>} backlinks
+   * @param {Object} backlink
+   */
+  addBacklink(backlinks, backlink) {
+    const index = backlinks.findIndex((existing) => this.backlinkComparator(backlink, existing) < 0);
+    if (index === -1) {
+      backlinks.push(backlink);
+    } else {
+      backlinks.splice(index, 0, backlink);
+    }
+  }
+
+  /**
+   * Finds and resolves the Wikilinks within a page's content for embedding that page. Each link is resolved
+   * with the chain of pages embedding it, so that embeds within the content are resolved recursively until
+   * either a cycle is found or the maximum embed depth is reached.
+   *
+   * @param {string} content
+   * @param {*} page the embedded page
+   * @param {Array<string>} embedChain urls of the pages embedding the content, including the embedded page
+   * @return {Promise<Map<string, import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta>>}
+   */
+  async resolveEmbeddedLinks(content, page, embedChain) {
+    const resolved = new Map();
+    if (!this.pageDirectory || !content) return resolved;
+
+    // Dead links are recorded against the embedded page, the link parser is synchronous so the file source
+    // can be safely switched for the duration of the find.
+    const fileSrc = this.deadLinks.fileSrc;
+    this.deadLinks.setFileSrc(page.inputPath);
+    const links = this.wikiLinkParser.find(content, this.pageDirectory, page.filePathStem, isMarkdownPage(page));
+    this.deadLinks.setFileSrc(fileSrc);
+
+    for (const found of links) {
+      if (!found.resolvingFnName || resolved.has(found.link)) continue;
+
+      const link = {...found, embedChain};
+      link.content = await this.opts.resolvingFns.get(link.resolvingFnName)(link, page, this);
+      resolved.set(link.link, link);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Returns a short plain text excerpt of the linking page's source surrounding the link, or null
+   * if excerpts are disabled or the link could not be found in the source.
+   *
+   * @param {string} pageContent
+   * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta|import('@photogabble/eleventy-plugin-interlinker').LinkMeta} link
+   * @return {string|null}
+   */
+  linkExcerpt(pageContent, link) {
+    const length = this.opts.backlinkExcerptLength ?? 80;
+    if (length <= 0) return null;
+
+    // Auto-linked mentions and Markdown links record where they were found, as their text may appear earlier,
+    // e.g. in a heading or a reference link's definition.
+    let start = link.start ?? pageContent.indexOf(link.link);
+    if (start === -1) return null;
+    let end = link.end ?? start + link.link.length;
+
+    // HTML links are found by their href, widen to the whole anchor element.
+    if (linkType(link) === 'html' && link.start === undefined) {
+      start = Math.max(0, pageContent.lastIndexOf('<a', start));
+      const close = pageContent.indexOf('</a>', end);
+      if (close !== -1) end = close + 4;
+    }
+
+    return extractExcerpt(pageContent, start, end, length);
+  }
+
+  /**
+   * Returns the `autoLinkMentions` options with defaults applied, or null when auto-linking is disabled.
+   *
+   * @return {{pages: 'opt-in'|'opt-out', frontMatterKey: string, firstOccurrenceOnly: boolean}|null}
+   */
+  autoLinkOptions() {
+    if (!this.opts.autoLinkMentions) return null;
+
+    const {pages = 'opt-in', frontMatterKey = 'autoLinkMentions', firstOccurrenceOnly = true} = this.opts.autoLinkMentions === true
+      ? {}
+      : this.opts.autoLinkMentions;
+
+    return {pages, frontMatterKey, firstOccurrenceOnly};
+  }
+
+  /**
+   * Finds the plain-text mentions of other pages' titles and aliases within a Markdown page that will be
+   * turned into links by the `auto_link_mentions` markdown-it rule, if auto-linking is enabled for the page.
+   * Mentions within headings, code and existing links are excluded, as are mentions of pages already
+   * linked to from the current page. These are returned as link meta so that they count toward backlinks.
+   *
+   * @param {*} currentPage
+   * @param {string} pageContent
+   * @param {Set<string>} linkedUrls
+   * @return {Array<Object>}
+   */
+  findAutoLinks(currentPage, pageContent, linkedUrls) {
+    this.autoLinks.delete(currentPage.url);
+
+    const options = this.autoLinkOptions();
+    if (!options || !isMarkdownPage(currentPage)) return [];
+
+    const enabled = currentPage.data[options.frontMatterKey];
+    if (enabled === false || (enabled !== true && options.pages !== 'opt-out')) return [];
+
+    const targets = new Set();
+    const links = [];
+
+    for (const {page, text, start, end} of this.unlinkedMentions.find(pageContent, false)) {
+      if (page.url === currentPage.url || linkedUrls.has(page.url)) continue;
+      if (options.firstOccurrenceOnly && targets.has(page.url)) continue;
+
+      targets.add(page.url);
+      links.push({
+        link: text,
+        title: text,
+        href: page.url,
+        anchor: null,
+        start,
+        end,
+        isEmbed: false,
+        isMention: true,
+        exists: true,
+        page,
+      });
+    }
+
+    this.autoLinks.set(currentPage.url, targets);
+    return links;
+  }
+
+  /**
+   * Records plain-text mentions of other pages' titles and aliases within the current page, adding
+   * the current page to the mentioned page's `unlinkedMentions`. Pages already linked to from the
+   * current page are skipped, as are mentions of the current page itself.
+   *
+   * @param {*} currentPage
+   * @param {string} pageContent
+   * @param {Set<string>} linkedUrls
+   */
+  addUnlinkedMentions(currentPage, pageContent, linkedUrls) {
+    const length = this.opts.backlinkExcerptLength ?? 80;
+
+    for (const {page, text, start, end} of this.unlinkedMentions.find(pageContent, true, isMarkdownPage(currentPage))) {
+      if (page.url === currentPage.url || linkedUrls.has(page.url)) continue;
+
+      if (!page.data.unlinkedMentions) page.data.unlinkedMentions = [];
+      if (page.data.unlinkedMentions.findIndex((mention) => mention.url === currentPage.url) !== -1) continue;
+
+      const mention = {
+        url: currentPage.url,
+        title: currentPage.data.title,
+        date: currentPage.date,
+        text,
+        excerpt: length > 0 ? extractExcerpt(pageContent, start, end, length) : null,
+      };
+
+      this.addBacklink(page.data.unlinkedMentions, mention);
+      this.unlinkedMentions.add(page.url, mention);
+    }
+  }
+
+  /**
+   * Returns the url, including any fragment identifier, of the page generated from the Markdown file a link's href
+   * references, e.g. `../notes/Note.md#heading`, or null if it's not an internal link or the page isn't found. Links
+   * to pages that aren't found are reported as dead links in the linking page.
+   *
+   * @param {string} href
+   * @param {{url: string|false, filePathStem: string, inputPath: string}} page the linking page
+   * @return {string|null}
+   */
+  resolveFileLink(href, page) {
+    if (!this.pageDirectory || this.HTMLLinkParser.internalPath(href, page.url || undefined, page.filePathStem) === null) return null;
+
+    // The link parser is synchronous so the file source can be safely switched for the duration of the parse.
+    const fileSrc = this.deadLinks.fileSrc;
+    this.deadLinks.setFileSrc(page.inputPath);
+    const link = this.HTMLLinkParser.parseSingle(href, this.pageDirectory, page.url || undefined, page.filePathStem);
+    this.deadLinks.setFileSrc(fileSrc);
+
+    if (!link.exists) return null;
+
+    const fragment = href.indexOf('#');
+    return fragment === -1 ? link.page.url : `${link.page.url}${href.slice(fragment)}`;
+  }
+
+  /**
+   * Adds the link from the current page to the link graph, and the current page to the linked page's backlinks.
+   *
+   * @param {*} currentPage
+   * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta|import('@photogabble/eleventy-plugin-interlinker').LinkMeta} link
+   * @param {string} pageContent the source the link was found in
+   */
+  addLinkedPage(currentPage, link, pageContent) {
+    this.linkGraph.addEdge(currentPage.url, link.page.url, linkType(link) === 'wikilink' ? 'link' : linkType(link));
+
+    if (!link.page.data.backlinks) link.page.data.backlinks = [];
+    if (link.page.data.backlinks.findIndex((backlink => backlink.url === currentPage.url)) === -1) {
+      this.addBacklink(link.page.data.backlinks, {
+        url: currentPage.url,
+        title: currentPage.data.title,
+        date: currentPage.date,
+        type: linkType(link),
+        text: (linkType(link) === 'html' ? link.text : link.title) ?? null,
+        anchor: link.anchor ?? null,
+        excerpt: this.linkExcerpt(pageContent, link),
+      });
+    }
+  }
+
+  /**
+   * Finds the internal links within a page's rendered output, including those produced by shortcodes, includes,
+   * layouts and Markdown link syntax that aren't found in its source. Links to the page itself and to the stub url
+   * are ignored. The links found are recorded until the build has finished, see applyRenderedLinks.
+   *
+   * @param {{url: string, inputPath: string}} page the 11ty page being rendered
+   * @param {string} content the rendered output
+   */
+  computeRendered(page, content) {
+    if (!this.pageDirectory || typeof content !== 'string') return;
+
+    const currentPage = this.pageDirectory.findByFile({page});
+    if (!currentPage) return;
+
+    // Links are parsed with their own dead link record so that those ignored below aren't reported.
+    const parser = new HTMLLinkParser(new DeadLinks(), this.opts);
+    const links = [];
+
+    for (const link of parser.find(content, this.pageDirectory, currentPage.url, currentPage.filePathStem)) {
+      if (link.href === this.opts.stubUrl || link.page?.url === currentPage.url) continue;
+      links.push(link);
+    }
+
+    this.renderedLinks.set(currentPage.url, {currentPage, links});
+  }
+
+  /**
+   * Merges the links found in each page's rendered output into the link graph and the dead link report. This is
+   * invoked once every page has rendered, so that the result doesn't depend upon the order pages are rendered in.
+   * For the same reason these links aren't added to backlinks, which templates may have already rendered.
+   */
+  applyRenderedLinks() {
+    for (const {currentPage, links} of this.renderedLinks.values()) {
+      for (const link of links) {
+        if (!link.exists) {
+          this.deadLinks.add(link.link, currentPage.inputPath);
+          continue;
+        }
+
+        if (this.opts.validateAnchors && link.anchor && !link.anchor.startsWith('^')) {
+          this.pendingAnchors.push({link, fileSrc: currentPage.inputPath});
+        }
+
+        this.linkGraph.addEdge(currentPage.url, link.page.url, 'html');
+      }
+    }
   }
 
   /**
@@ -53,24 +524,35 @@ export default class Interlinker {
     this.deadLinks.setFileSrc(data.page.inputPath);
 
     const compilePromises = [];
-    const pageDirectory = pageLookup(data.collections.all);
+    const pageDirectory = this.getPageDirectory(data.collections.all);
 
     const currentPage = pageDirectory.findByFile(data);
     if (!currentPage) return [];
 
-    // TODO: 1.1.0 keep track of defined aliases and throw exception if duplicates are found (#46)
-
     // Identify this pages outbound internal links both as wikilink _and_ regular html anchor tags. For each out-link
     // lookup the other page and add this to its backlinks data value.
     const template = await currentPage.template.read();
 
-    if (template?.content) {
+    // Only templates with source text can be searched for links, 11ty.js content is a module.
+    if (typeof template?.content === 'string' && template.content) {
       const pageContent = template.content;
       const outboundLinks = [
-        ...this.wikiLinkParser.find(pageContent, pageDirectory, currentPage.filePathStem),
-        ...this.HTMLLinkParser.find(pageContent, pageDirectory),
+        ...this.wikiLinkParser.find(pageContent, pageDirectory, currentPage.filePathStem, isMarkdownPage(currentPage)),
+        ...this.HTMLLinkParser.find(pageContent, pageDirectory, currentPage.url, currentPage.filePathStem),
+        ...(isMarkdownPage(currentPage)
+          ? this.markdownLinkParser.find(pageContent, pageDirectory, currentPage.url, currentPage.filePathStem)
+          : []),
       ];
 
+      const linkedUrls = new Set(outboundLinks.filter((link) => link.exists && link.page).map((link) => link.page.url));
+      for (const link of this.findAutoLinks(currentPage, pageContent, linkedUrls)) {
+        outboundLinks.push(link);
+        linkedUrls.add(link.page.url);
+      }
+
+      // Pages embedded by this page, rebuilt each time this page's links are computed.
+      const embeds = [];
+
       // Foreach link on this page, if it has its own resolving function we invoke that
       // otherwise the default behaviour is to look up the page and add this page to
       // its backlinks list.
@@ -81,19 +563,54 @@ export default class Interlinker {
           link.content = await fn(link, currentPage, this);
         }
 
+        // Block references, e.g. `[[Page#^block-id]]`, are checked against the block ids found in the
+        // linked page's source. Embedded block references are checked by their resolving function.
+        if (link.exists && !link.isEmbed && link.page?.template && link.anchor?.startsWith('^')) {
+          const linked = await link.page.template.read();
+          const source = typeof linked?.content === 'string' ? linked.content : '';
+          if (!this.wikiLinkParser.findBlockIds(source, isMarkdownPage(link.page)).has(link.anchor.slice(1))) {
+            this.deadLinks.addAnchor(link.link, currentPage.inputPath);
+          }
+        }
+
+        // When enabled, links referencing a heading or element id, e.g. `[[Page#Heading]]` or
+        // `/page/#heading`, are checked against the anchors found in the linked page once it has
+        // rendered, see validateAnchors. Embeds check their anchor when extracting the referenced section.
+        if (this.opts.validateAnchors && link.exists && !link.isEmbed && link.anchor && !link.anchor.startsWith('^')) {
+          this.pendingAnchors.push({link, fileSrc: currentPage.inputPath});
+        }
+
+        if (link.mediaType && link.exists) this.assets.add(link.href, link.path, currentPage.inputPath);
+
         // If the linked page exists we can add the linking page to its backlinks array
         // Skip backlinks for images since they don't have page data
         if (link.exists && link.page && link.page.data) {
-          if (!link.page.data.backlinks) link.page.data.backlinks = [];
-          if (link.page.data.backlinks.findIndex((backlink => backlink.url === currentPage.url)) === -1) {
-            link.page.data.backlinks.push({
-              url: currentPage.url,
-              title: currentPage.data.title,
-            });
+          this.addLinkedPage(currentPage, link, pageContent);
+
+          // Embeds are also tracked separately, so that the pages using an embedded page can be listed.
+          if (link.isEmbed) {
+            // The same page may be embedded more than once for different sections, e.g. `![[Page#A]]` and `![[Page#B]]`.
+            const anchor = link.anchor ?? null;
+            if (embeds.findIndex((embed) => embed.url === link.page.url && embed.anchor === anchor) === -1) {
+              embeds.push({url: link.page.url, title: link.page.data.title, anchor});
+            }
+
+            if (!link.page.data.embeddedBy) link.page.data.embeddedBy = [];
+            if (link.page.data.embeddedBy.findIndex((embed) => embed.url === currentPage.url && embed.anchor === anchor) === -1) {
+              this.addBacklink(link.page.data.embeddedBy, {
+                url: currentPage.url,
+                title: currentPage.data.title,
+                date: currentPage.date,
+                anchor,
+              });
+            }
           }
         }
       }
 
+      currentPage.data.embeds = embeds;
+      if (this.opts.unlinkedMentions) this.addUnlinkedMentions(currentPage, pageContent, linkedUrls);
+
       // Block iteration until compilation complete.
       if (compilePromises.length > 0) await Promise.all(compilePromises);
 
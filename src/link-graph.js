@@ -0,0 +1,88 @@
+import {pageAliases} from './find-page.js';
+import path from 'node:path';
+import fs from 'node:fs';
+
+/**
+ * Link Graph:
+ * This records the links between pages as a graph of nodes (pages) and typed edges (links) for use
+ * by graph visualisations. It's made available to templates via the `linkGraph` global data value,
+ * as nodes and edges are read on access they're complete by the time templates are rendered.
+ */
+export default class LinkGraph {
+  constructor() {
+    // The 11ty all pages collection, each page is a node in the graph
+    this.pages = [];
+
+    // Map of edges keyed by source, target and type so that each is only recorded once
+    this.links = new Map();
+  }
+
+  /**
+   * @param {Array<any>} allPages
+   */
+  setPages(allPages) {
+    this.pages = allPages;
+  }
+
+  /**
+   * @param {string} source url of the linking page
+   * @param {string} target url of the linked page
+   * @param {'link'|'embed'|'html'|'mention'} type
+   */
+  addEdge(source, target, type) {
+    const key = `${source} ${target} ${type}`;
+    if (!this.links.has(key)) this.links.set(key, {source, target, type});
+  }
+
+  /**
+   * @return {Array<{source: string, target: string, type: 'link'|'embed'|'html'|'mention'}>}
+   */
+  get edges() {
+    return Array.from(this.links.values());
+  }
+
+  /**
+   * @return {Array<{url: string, title: string|null, tags: Array<string>, aliases: Array<string>, inbound: number, outbound: number}>}
+   */
+  get nodes() {
+    const inbound = new Map();
+    const outbound = new Map();
+
+    for (const {source, target} of this.links.values()) {
+      outbound.set(source, (outbound.get(source) ?? 0) + 1);
+      inbound.set(target, (inbound.get(target) ?? 0) + 1);
+    }
+
+    return this.pages.map((page) => ({
+      url: page.url,
+      title: page.data.title ?? null,
+      tags: Array.isArray(page.data.tags) ? page.data.tags : (typeof page.data.tags === 'string' ? [page.data.tags] : []),
+      aliases: pageAliases(page),
+      inbound: inbound.get(page.url) ?? 0,
+      outbound: outbound.get(page.url) ?? 0,
+    }));
+  }
+
+  toJSON() {
+    return {
+      nodes: this.nodes,
+      edges: this.edges,
+    };
+  }
+
+  /**
+   * @param {string} filename
+   */
+  write(filename) {
+    fs.mkdirSync(path.dirname(filename), {recursive: true});
+    fs.writeFileSync(filename, JSON.stringify(this));
+  }
+
+  /**
+   * Reset to initial state
+   */
+  clear() {
+    this.pages = [];
+    this.links.clear();
+  }
+}
@@ -1,3 +1,11 @@
+/**
+ * Key of the markdown-it env value holding the Wikilinks resolved in the context of an embed. Embedded content
+ * is rendered with these in preference to the link cache, so that nested embeds are resolved for that embed.
+ *
+ * @type {symbol}
+ */
+export const embeddedLinksKey = Symbol('embeddedLinks');
+
 /**
  * This rule will be looped through an inline token by markdown-it.
  *
@@ -28,11 +36,11 @@ export const wikilinkInlineRule = (wikilinkParser) => (state, silent) => {
 
   if (!found) return false;
 
-  const wikiLink = wikilinkParser.linkCache.get(text);
+  const wikiLink = state.env?.[embeddedLinksKey]?.get(text) ?? wikilinkParser.getCached(text, state.env?.page?.filePathStem);
 
   // By this time in the execution cycle the wikilink parser's cache should contain all
-  // wikilinks, including those linking to a stub. In the unlikely case that it doesn't
-  // we ignore the wikilink.
+  // wikilinks, resolved for the page being rendered, including those linking to a stub.
+  // In the unlikely case that it doesn't we ignore the wikilink.
   if (!wikiLink) return false;
 
   if (!silent) {
@@ -66,7 +74,7 @@ export const wikilinkBlockRule = (wikilinkParser) => (state, startLine, endLine,
   let lineText = state.src.slice(pos, max);
   if (lineText.substring(0, 3) !== '![[') return false;
 
-  const wikiLink = wikilinkParser.linkCache.get(lineText);
+  const wikiLink = state.env?.[embeddedLinksKey]?.get(lineText) ?? wikilinkParser.getCached(lineText, state.env?.page?.filePathStem);
   if (!wikiLink) return false;
 
   if (!silent) {
@@ -80,7 +88,168 @@ export const wikilinkBlockRule = (wikilinkParser) => (state, startLine, endLine,
   return true;
 };
 
-export const install = (md, wikilinkParser) => {
+/**
+ * Walks backwards from the token at `index` to find the opening token of the block preceding it.
+ *
+ * @param {Array<*>} tokens
+ * @param {number} index
+ * @return {*|null}
+ */
+const precedingBlock = (tokens, index) => {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    depth += tokens[i].nesting;
+    if (depth > 0) return null;
+    if (depth === 0) return tokens[i];
+  }
+  return null;
+};
+
+/**
+ * This rule identifies Obsidian style block references, e.g. `Some text ^block-id`. The `^block-id` marker
+ * is removed from the output and the block is given the id `^block-id` so that it can be linked to via
+ * `[[Page#^block-id]]`. A marker on a line of its own references the block preceding it, and a marker
+ * within a list item references that list item.
+ *
+ * @param {WikilinkParser} wikilinkParser
+ * @return {(function(*): void)|*}
+ */
+export const blockReferenceCoreRule = (wikilinkParser) => (state) => {
+  const tokens = state.tokens;
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'inline' || tokens[i - 1].type !== 'paragraph_open') continue;
+
+    const match = token.content.match(wikilinkParser.blockIdRegExp);
+    if (!match) continue;
+
+    const id = `^${match[1]}`;
+
+    if (match.index === 0) {
+      const block = precedingBlock(tokens, i - 1);
+      if (!block) continue;
+
+      block.attrSet('id', id);
+
+      // Remove the paragraph that only contained the marker.
+      tokens.splice(i - 1, 3);
+      i -= 2;
+      continue;
+    }
+
+    const block = tokens[i - 2]?.type === 'list_item_open' ? tokens[i - 2] : tokens[i - 1];
+    block.attrSet('id', id);
+
+    token.content = token.content.slice(0, match.index);
+    const last = token.children?.at(-1);
+    if (last?.type === 'text') last.content = last.content.replace(wikilinkParser.blockIdRegExp, '');
+  }
+};
+
+/**
+ * Creates a text token for the auto-link rule.
+ *
+ * @param {*} state
+ * @param {string} content
+ * @return {*}
+ */
+const textToken = (state, content) => {
+  const token = new state.Token('text', '', 0);
+  token.content = content;
+  return token;
+};
+
+// Raw HTML anchor tags within inline content, matched in the same way as markdown-it's linkify rule.
+const isHtmlLinkOpen = (token) => token.type === 'html_inline' && /^<a[>\s]/i.test(token.content);
+const isHtmlLinkClose = (token) => token.type === 'html_inline' && /^<\/a\s*>/i.test(token.content);
+
+/**
+ * This rule turns plain-text mentions of page titles and aliases into links, for pages that have auto-linking
+ * enabled. The mentioned pages are found by the Interlinker before rendering, so that they're included in the
+ * mentioned pages' backlinks; this rule only links mentions of those pages. Mentions within headings, code and
+ * existing links, including raw HTML anchor tags, are left as is.
+ *
+ * @param {Interlinker} interlinker
+ * @return {(function(*): void)|*}
+ */
+export const autoLinkCoreRule = (interlinker) => (state) => {
+  const targets = interlinker.autoLinks.get(state.env?.page?.url);
+  if (!targets || targets.size === 0) return;
+
+  const firstOccurrenceOnly = interlinker.autoLinkOptions()?.firstOccurrenceOnly ?? true;
+  const linked = new Set();
+
+  for (let i = 0; i < state.tokens.length; i++) {
+    const token = state.tokens[i];
+    if (token.type !== 'inline' || !token.children || state.tokens[i - 1]?.type === 'heading_open') continue;
+
+    const children = [];
+    let linkDepth = 0;
+
+    for (const child of token.children) {
+      if (child.type === 'link_open' || isHtmlLinkOpen(child)) linkDepth++;
+      if (child.type === 'link_close' || isHtmlLinkClose(child)) linkDepth--;
+
+      if (child.type !== 'text' || linkDepth > 0) {
+        children.push(child);
+        continue;
+      }
+
+      let pos = 0;
+
+      for (const {page, start, end} of interlinker.unlinkedMentions.find(child.content)) {
+        if (!targets.has(page.url) || (firstOccurrenceOnly && linked.has(page.url))) continue;
+        linked.add(page.url);
+
+        if (start > pos) children.push(textToken(state, child.content.slice(pos, start)));
+
+        const open = new state.Token('link_open', 'a', 1);
+        open.attrSet('href', page.url);
+        children.push(open, textToken(state, child.content.slice(start, end)), new state.Token('link_close', 'a', -1));
+
+        pos = end;
+      }
+
+      if (pos === 0) {
+        children.push(child);
+      } else if (pos < child.content.length) {
+        children.push(textToken(state, child.content.slice(pos)));
+      }
+    }
+
+    token.children = children;
+  }
+};
+
+/**
+ * This rule rewrites the href of links to Markdown files, e.g. `[text](folder/Note.md#heading)` as written by Obsidian,
+ * to the url of the page generated from that file, keeping any fragment identifier. Links to files that aren't found
+ * are left unchanged and reported as dead links.
+ *
+ * @param {Interlinker} interlinker
+ * @return {(function(*): void)|*}
+ */
+export const markdownFileLinkCoreRule = (interlinker) => (state) => {
+  const page = state.env?.page;
+  if (!interlinker.opts.rewriteMarkdownLinks || !interlinker.pageDirectory || !page) return;
+
+  for (const token of state.tokens) {
+    if (token.type !== 'inline' || !token.children) continue;
+
+    for (const child of token.children) {
+      if (child.type !== 'link_open') continue;
+
+      const href = child.attrGet('href');
+      if (!href || !/\.(md|markdown)(?:[?#]|$)/i.test(href)) continue;
+
+      const url = interlinker.resolveFileLink(href, page);
+      if (url) child.attrSet('href', url);
+    }
+  }
+};
+
+export const install = (md, wikilinkParser, interlinker) => {
   md.inline.ruler.push('inline_wikilink', wikilinkInlineRule(
     wikilinkParser,
   ));
@@ -91,4 +260,16 @@ export const install = (md, wikilinkParser) => {
     // alt contains a list of rules which can be terminated by this one
     alt: ['paragraph', 'reference', 'blockquote']
   });
+
+  md.core.ruler.push('block_reference', blockReferenceCoreRule(
+    wikilinkParser,
+  ));
+
+  if (interlinker) md.core.ruler.push('auto_link_mentions', autoLinkCoreRule(
+    interlinker,
+  ));
+
+  if (interlinker) md.core.ruler.push('markdown_file_links', markdownFileLinkCoreRule(
+    interlinker,
+  ));
 }
@@ -0,0 +1,77 @@
+import MarkdownIt from 'markdown-it';
+import {hasTemplateSyntax} from './html-link-parser.js';
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default class MarkdownLinkParser {
+  /**
+   * @param { import('./html-link-parser.js').default } htmlLinkParser used for resolving each link's href
+   */
+  constructor(htmlLinkParser) {
+    this.htmlLinkParser = htmlLinkParser;
+
+    // Only used for tokenising link syntax, it's not configured with the site's Markdown library plugins.
+    this.md = new MarkdownIt({html: true});
+  }
+
+  /**
+   * Finds all internal Markdown links, both inline, e.g. `[text](/notes/foo/)`, and reference style, e.g. `[text][foo]`
+   * with `[foo]: ../foo.md`, within a Markdown document and returns their parsed result. Links within code aren't
+   * found. As with HTML links, only links that are root relative, relative to the linking page or within the `siteUrl`
+   * option are included and those containing template syntax aren't.
+   *
+   * @param {string} document
+   * @param {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService} pageDirectory
+   * @param {string|undefined} pageUrl the linking page's url, for resolving relative links
+   * @param {string|undefined} filePathStem the linking page's file path stem, for resolving relative links to Markdown files
+   * @return {Array<import('@photogabble/eleventy-plugin-interlinker').LinkMeta>}
+   */
+  find(document, pageDirectory, pageUrl = undefined, filePathStem = undefined) {
+    const found = [];
+
+    for (const token of this.md.parse(document, {})) {
+      if (token.type !== 'inline' || !token.children) continue;
+
+      let current = null;
+      for (const child of token.children) {
+        if (child.type === 'link_open') {
+          current = {href: child.attrGet('href') ?? '', text: ''};
+        } else if (child.type === 'link_close' && current) {
+          found.push(current);
+          current = null;
+        } else if (current && ['text', 'code_inline'].includes(child.type)) {
+          current.text += child.content;
+        }
+      }
+    }
+
+    // Hrefs are percent encoded by markdown-it, so template syntax, e.g. `[post]({{post.url}})` in a page
+    // preprocessed by Liquid, is checked for within the decoded href.
+    const links = found.filter(({href}) => href !== '' && !href.startsWith('#')
+      && !hasTemplateSyntax(this.md.normalizeLinkText(href))
+      && this.htmlLinkParser.internalPath(href, pageUrl, filePathStem) !== null);
+
+    // Each link is located in the document by its text, so that its backlink excerpt is taken from where it's used
+    // rather than, for reference links, from its definition.
+    let cursor = 0;
+
+    return links.map(({href, text}) => {
+      const meta = this.htmlLinkParser.parseSingle(href, pageDirectory, pageUrl, filePathStem);
+      meta.text = text.trim();
+      meta.isMarkdown = true;
+
+      const match = new RegExp(`\\[${escapeRegExp(text)}](\\([^)\\n]*\\)|\\[[^\\]\\n]*])?`).exec(document.slice(cursor));
+      if (match) {
+        meta.start = cursor + match.index;
+        meta.end = meta.start + match[0].length;
+        cursor = meta.end;
+      }
+
+      return meta;
+    });
+  }
+}
@@ -1,5 +1,6 @@
-import {EleventyRenderPlugin} from "@11ty/eleventy";
-import {encodeHTML} from 'entities';
+import {encodeHTML, escapeAttribute, escapeText} from 'entities';
+import {extractBlock, extractHeadingSection} from './html-fragments.js';
+import {embeddedLinksKey} from './markdown-ext.js';
 
 /**
  * Default Resolving function for converting Wikilinks into html links.
@@ -20,6 +21,111 @@ export const defaultResolvingFn = async (link, currentPage, interlinker) => {
   return href === false ? link.link : `<a href="${href}">${text}</a>`;
 }
 
+/**
+ * Returns the rel and target attributes for a link to an external site, as configured by the `externalLinks` option.
+ *
+ * @param {import('./interlinker')} interlinker
+ * @return {string}
+ */
+const externalAttributes = (interlinker) => {
+  const {rel = 'noopener noreferrer', target = null} = interlinker.opts.externalLinks ?? {};
+
+  let attributes = '';
+  if (rel) attributes += ` rel="${escapeAttribute(rel)}"`;
+  if (target) attributes += ` target="${escapeAttribute(target)}"`;
+
+  return attributes;
+};
+
+/**
+ * External Resolving function for converting Wikilinks to a URL, e.g. `[[https://example.com|Example]]`, into
+ * html links to that URL.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @param {*} currentPage
+ * @param {import('./interlinker')} interlinker
+ * @return {Promise<string|undefined>}
+ */
+export const externalResolvingFn = async (link, currentPage, interlinker) => {
+  const text = escapeText(link.title ?? link.name);
+
+  return `<a href="${escapeAttribute(link.href)}"${externalAttributes(interlinker)}>${text}</a>`;
+}
+
+/**
+ * Returns the embeddable player URL for YouTube and Vimeo video URLs, or null for other URLs.
+ *
+ * @param {string} href
+ * @return {string|null}
+ */
+const videoPlayerUrl = (href) => {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (e) {
+    return null;
+  }
+
+  const host = url.hostname.replace(/^(www\.|m\.)/, '');
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  let id = null;
+  if (host === 'youtu.be') {
+    id = segments[0];
+  } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    id = url.searchParams.get('v') ?? (['embed', 'shorts', 'live'].includes(segments[0]) ? segments[1] : null);
+  } else if (host === 'vimeo.com' && /^\d+$/.test(segments[0] ?? '')) {
+    return `https://player.vimeo.com/video/${segments[0]}`;
+  } else if (host === 'player.vimeo.com' && segments[0] === 'video') {
+    return `https://player.vimeo.com/video/${segments[1]}`;
+  }
+
+  if (!id) return null;
+
+  // YouTube start times may be written as `t=90` or `t=1m30s`.
+  const time = url.searchParams.get('t')?.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+  const start = time ? (Number(time[1] ?? 0) * 3600) + (Number(time[2] ?? 0) * 60) + Number(time[3] ?? 0) : 0;
+
+  return `https://www.youtube.com/embed/${id}${start > 0 ? `?start=${start}` : ''}`;
+};
+
+/**
+ * External Embed Resolving function for converting embeds of a URL, e.g. `![[https://youtu.be/id]]`, into HTML.
+ * YouTube and Vimeo videos are embedded as iframes, which can be sized in the same way as media embeds. Other URLs
+ * are displayed as a link card.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @param {*} currentPage
+ * @param {import('./interlinker')} interlinker
+ * @return {Promise<string|undefined>}
+ */
+export const externalEmbedFn = async (link, currentPage, interlinker) => {
+  const player = videoPlayerUrl(link.href);
+  const size = embedSize(link);
+
+  if (player) {
+    const title = (size || !link.title) ? 'Embedded video' : link.title;
+
+    let attributes = `src="${escapeAttribute(player)}" title="${escapeAttribute(title)}"`;
+    if (size) attributes += ` width="${size.width}"`;
+    if (size?.height) attributes += ` height="${size.height}"`;
+
+    return `<iframe ${attributes} allowfullscreen></iframe>`;
+  }
+
+  let host = link.href;
+  try {
+    host = new URL(link.href).hostname;
+  } catch (e) {
+    // Use the URL as given
+  }
+
+  const href = escapeAttribute(link.href);
+  const title = (size || !link.title) ? link.href : link.title;
+
+  return `<a class="link-card" href="${href}"${externalAttributes(interlinker)}><span class="link-card-title">${escapeText(title)}</span><span class="link-card-host">${escapeText(host)}</span></a>`;
+}
+
 /**
  * Default Resolving function for converting Wikilinks into Embeds.
  *
@@ -32,6 +138,21 @@ export const defaultEmbedFn = async (link, currentPage, interlinker) => {
   if (!link.exists || !interlinker.templateConfig || !interlinker.extensionMap) return;
 
   const page = link.page;
+
+  // The urls of the pages embedding this one, from the page being rendered down to the embed containing this link.
+  const embedChain = link.embedChain ?? [currentPage.url];
+
+  // An embed that eventually embeds itself, e.g. A embeds B embeds A, is reported rather than being resolved.
+  if (embedChain.includes(page.url)) {
+    interlinker.deadLinks.addCycle(link.link, currentPage.inputPath);
+    return interlinker.opts.resolvingFns.get('cyclic-embed')(link, currentPage, interlinker);
+  }
+
+  // Beyond the maximum depth nested embeds are displayed as links to the embedded page.
+  if (embedChain.length > interlinker.opts.maxEmbedDepth) {
+    return interlinker.opts.resolvingFns.get('default')(link, currentPage, interlinker);
+  }
+
   const template = await page.template.read();
 
   const layout = (page.data.hasOwnProperty(interlinker.opts.layoutKey))
@@ -46,35 +167,51 @@ export const defaultEmbedFn = async (link, currentPage, interlinker) => {
 
   // TODO: (#36) the layout below is liquid, will break if content contains invalid template tags such as passing njk file src
 
-  // This is the async compile function from the RenderPlugin.js bundled with 11ty. I'm using it directly here
-  // to compile the embedded content.
-  const compiler = EleventyRenderPlugin.String;
+  // Wikilinks within the embedded content are resolved in the context of this embed, so that nested embeds are
+  // checked against the chain of pages embedding them.
+  const embeddedLinks = await interlinker.resolveEmbeddedLinks(template.content, page, [...embedChain, page.url]);
 
-  // Compile template.content
-  const contentFn = await compiler(template.content, language, {
-    templateConfig: interlinker.templateConfig,
-    extensionMap: interlinker.extensionMap
-  });
+  let content = await interlinker.compileTemplate(template.content, language, {...page.data, [embeddedLinksKey]: embeddedLinks});
 
-  const content = await contentFn({...page.data});
+  // Heading transclusion, e.g. `![[Page#Heading]]`, embeds only the section of the compiled
+  // content under that heading while block references, e.g. `![[Page#^block-id]]`, embed only
+  // that block. If the heading or block doesn't exist it's reported as a dead anchor.
+  if (link.anchor) {
+    const fragment = link.anchor.startsWith('^')
+      ? extractBlock(content, link.anchor)
+      : extractHeadingSection(content, link.anchor);
+
+    if (fragment === null) {
+      interlinker.deadLinks.addAnchor(link.link, currentPage.inputPath);
+      return interlinker.opts.resolvingFns.get('404-embed')(link, currentPage, interlinker);
+    }
+    content = fragment;
+  }
 
   // If we don't have an embed layout wrapping this content, return the compiled result.
   if (layout === null) return content;
 
   // The template string is just to invoke the embed layout, the content value is the
   // compiled result of template.content.
-  const tpl = `{% layout "${layout}" %}`
-
-  const tplFn = await compiler(tpl, language, {
-    templateConfig: interlinker.templateConfig,
-    extensionMap: interlinker.extensionMap
-  });
-
-  return await tplFn({content, ...page.data});
+  return interlinker.compileTemplate(`{% layout "${layout}" %}`, language, {content, ...page.data});
 }
 
 /**
- * Image Embed Resolving function for converting image wikilinks into img tags.
+ * Parses the size syntax shared by image, video and PDF embeds, e.g. `![[demo.mp4|640]]` or `![[demo.mp4|640x360]]`,
+ * returning null if the link title isn't a size.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @return {{width: string, height: string|null}|null}
+ */
+const embedSize = (link) => {
+  const sizeMatch = link.title?.match(/^(\d+)(?:x(\d+))?$/);
+  return sizeMatch ? {width: sizeMatch[1], height: sizeMatch[2] ?? null} : null;
+};
+
+/**
+ * Image Embed Resolving function for converting image wikilinks into img tags. If the `imageTransform` option is
+ * set, the image is handed to it for generating the markup, e.g. responsive `<picture>` elements. The alias text
+ * is used as the alt text and, if `imageCaptions` is enabled, the caption of a wrapping `<figure>`.
  *
  * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
  * @param {*} currentPage
@@ -94,27 +231,104 @@ export const imageEmbedFn = async (link, currentPage, interlinker) => {
   // Use the image name (filename without extension) as alt text
   const imageName = link.name.split('/').pop(); // Get filename from path
   const imageTitle = imageName.replace(/\.[^/.]+$/, ''); // Remove extension
-  
-  let alt = encodeHTML(imageTitle);
-  let width = null;
-  
-  // Parse width from title if present (e.g., "100" or "100x500")
-  if (link.title) {
-    const sizeMatch = link.title.match(/^(\d+)(?:x\d+)?$/);
-    if (sizeMatch) {
-      width = sizeMatch[1];
-    } else {
-      // If title is not a size, use it as alt text
-      alt = encodeHTML(link.title);
-    }
+
+  // Parse size from title if present (e.g., "100" or "100x500"), if the title is not a size use it as alt text.
+  // The title defaults to the image name when not set by the link.
+  const size = embedSize(link);
+  const caption = (!size && link.title && link.title !== imageTitle) ? link.title : null;
+
+  const image = {
+    src,
+    path: link.path,
+    alt: caption ?? imageTitle,
+    width: size?.width ?? null,
+    height: size?.height ?? null,
+    loading: interlinker.opts.imageLoading ?? null,
+  };
+
+  let html;
+
+  if (typeof interlinker.opts.imageTransform === 'function') {
+    html = await interlinker.opts.imageTransform(image, link, currentPage);
+  } else {
+    // Build img tag
+    html = `<img src="${src}" alt="${encodeHTML(image.alt)}"`;
+    if (image.width) html += ` width="${image.width}px"`;
+    if (image.height) html += ` height="${image.height}px"`;
+    if (image.loading) html += ` loading="${image.loading}"`;
+    html += ' />';
   }
-  
-  // Build img tag
-  let imgTag = `<img src="${src}" alt="${alt}"`;
-  if (width) {
-    imgTag += ` width="${width}px"`;
+
+  if (caption && interlinker.opts.imageCaptions) {
+    html = `<figure>${html}<figcaption>${encodeHTML(caption)}</figcaption></figure>`;
   }
-  imgTag += ' />';
-  
-  return imgTag;
+
+  return html;
+}
+
+/**
+ * Returns the attributes for a media embed's src, size and title. The title defaults to the filename without extension.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @param {string} src
+ * @param {boolean} sized whether the embed supports the size syntax
+ * @return {string}
+ */
+const mediaAttributes = (link, src, sized = true) => {
+  const size = sized ? embedSize(link) : null;
+  const title = (size || !link.title)
+    ? link.name.split('/').pop().replace(/\.[^/.]+$/, '')
+    : link.title;
+
+  let attributes = `src="${src.startsWith('/') ? src : `/${src}`}" title="${encodeHTML(title)}"`;
+  if (size) attributes += ` width="${size.width}"`;
+  if (size?.height) attributes += ` height="${size.height}"`;
+
+  return attributes;
+};
+
+/**
+ * Audio Embed Resolving function for converting audio wikilinks, e.g. `![[clip.mp3]]`, into audio tags.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @param {*} currentPage
+ * @param {import('./interlinker')} interlinker
+ * @return {Promise<string|undefined>}
+ */
+export const audioEmbedFn = async (link, currentPage, interlinker) => {
+  if (!link.exists || link.mediaType !== 'audio') return;
+
+  return `<audio controls ${mediaAttributes(link, link.href, false)}></audio>`;
+}
+
+/**
+ * Video Embed Resolving function for converting video wikilinks, e.g. `![[demo.mp4|640x360]]`, into video tags.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @param {*} currentPage
+ * @param {import('./interlinker')} interlinker
+ * @return {Promise<string|undefined>}
+ */
+export const videoEmbedFn = async (link, currentPage, interlinker) => {
+  if (!link.exists || link.mediaType !== 'video') return;
+
+  return `<video controls ${mediaAttributes(link, link.href)}></video>`;
+}
+
+/**
+ * PDF Embed Resolving function for converting PDF wikilinks, e.g. `![[paper.pdf#page=3]]`, into iframes opening
+ * the PDF at the referenced page.
+ *
+ * @param {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} link
+ * @param {*} currentPage
+ * @param {import('./interlinker')} interlinker
+ * @return {Promise<string|undefined>}
+ */
+export const pdfEmbedFn = async (link, currentPage, interlinker) => {
+  if (!link.exists || link.mediaType !== 'pdf') return;
+
+  const page = link.anchor?.match(/^page=(\d+)$/);
+  const src = page ? `${link.href}#page=${page[1]}` : link.href;
+
+  return `<iframe ${mediaAttributes(link, src)}></iframe>`;
 }
@@ -0,0 +1,135 @@
+import {maskCode} from './code-regions.js';
+import path from 'node:path';
+import fs from 'node:fs';
+
+/**
+ * Regular expressions matching the parts of a document, other than code, that shouldn't be searched
+ * for mentions: existing links, HTML tags and template tags.
+ *
+ * @type {Array<RegExp>}
+ */
+const excluded = [
+  /<a\b[\s\S]*?<\/a>/gi,
+  /!?\[\[[^\n]*?]]/g,
+  /!?\[[^\]\n]*]\([^)\n]*\)/g,
+  /\{[{%][\s\S]*?[%}]}/g,
+  /<[^>]*>/g,
+];
+
+/**
+ * Matches Markdown ATX headings, these are excluded when finding mentions to auto-link.
+ *
+ * @type {RegExp}
+ */
+const headings = /^ {0,3}#{1,6}(?:[ \t][^\n]*)?$/gm;
+
+/**
+ * Replaces each excluded part of a document with spaces, keeping line breaks so that the offsets
+ * of mentions found within the masked document are the same as in the original.
+ *
+ * @param {string} document
+ * @param {Array<RegExp>} exclude
+ * @return {string}
+ */
+const mask = (document, exclude) => exclude.reduce(
+  (masked, regex) => masked.replace(regex, (match) => match.replace(/[^\n]/g, ' ')),
+  document
+);
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Unlinked Mentions:
+ * This finds plain-text references to page titles and aliases that haven't been linked, so that
+ * they can be converted into Wikilinks. Mentions are recorded per mentioned page and made available
+ * as that page's `unlinkedMentions` data value, and optionally written to a report file.
+ */
+export default class UnlinkedMentions {
+  constructor() {
+    // Matches any page title or alias as a whole word, case-insensitively
+    this.pattern = null;
+
+    // Map of lower cased title or alias to the page it identifies
+    this.pagesByIdentifier = new Map();
+
+    // Map of mentioned page url to the pages mentioning it
+    this.mentions = new Map();
+  }
+
+  /**
+   * @param {Map<string, any>} identifiers page titles and aliases mapped to the page they identify
+   */
+  setIdentifiers(identifiers) {
+    this.pagesByIdentifier.clear();
+
+    for (const [identifier, page] of identifiers.entries()) {
+      const key = identifier.trim().toLowerCase();
+      if (key.length > 0 && !this.pagesByIdentifier.has(key)) this.pagesByIdentifier.set(key, page);
+    }
+
+    // Longest first, so that the longest identifier is matched when one contains another.
+    const alternatives = Array.from(this.pagesByIdentifier.keys())
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+
+    this.pattern = alternatives.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+      : null;
+  }
+
+  /**
+   * Finds mentions of page titles and aliases within a document, excluding those within code,
+   * links and tags, and optionally headings.
+   *
+   * @param {string} document
+   * @param {boolean} includeHeadings
+   * @param {boolean} isMarkdown when false, Markdown code blocks and spans aren't treated as code
+   * @return {Array<{page: any, text: string, start: number, end: number}>}
+   */
+  find(document, includeHeadings = true, isMarkdown = true) {
+    if (!this.pattern) return [];
+
+    const exclude = includeHeadings ? excluded : [...excluded, headings];
+
+    return Array.from(mask(maskCode(document, isMarkdown), exclude).matchAll(this.pattern), (match) => ({
+      page: this.pagesByIdentifier.get(match[0].toLowerCase()),
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    })).filter(({page}) => !!page);
+  }
+
+  /**
+   * @param {string} url of the mentioned page
+   * @param {{url: string, title: string|null, text: string, excerpt: string|null}} mention
+   */
+  add(url, mention) {
+    if (!this.mentions.has(url)) this.mentions.set(url, []);
+    this.mentions.get(url).push(mention);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.mentions.entries());
+  }
+
+  /**
+   * @param {string} filename
+   */
+  write(filename) {
+    fs.mkdirSync(path.dirname(filename), {recursive: true});
+    fs.writeFileSync(filename, JSON.stringify(this));
+  }
+
+  /**
+   * Reset to initial state
+   */
+  clear() {
+    this.pattern = null;
+    this.pagesByIdentifier.clear();
+    this.mentions.clear();
+  }
+}
@@ -1,5 +1,8 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import chalk from 'chalk';
+import {attachmentIndex} from './attachments.js';
+import {maskCode} from './code-regions.js';
 
 export default class WikilinkParser {
   /**
@@ -9,18 +12,58 @@ export default class WikilinkParser {
    */
   wikiLinkRegExp = /(?<!!)(!?)\[\[([^|\n]+?)(\|([^\n]+?))?]]/g;
 
+  /**
+   * This regex finds an Obsidian style block reference id at the end of a line: `Some text ^block-id`, or
+   * on a line of its own.
+   *
+   * @type {RegExp}
+   */
+  blockIdRegExp = /(?:^|\s)\^([a-zA-Z0-9-]+)$/;
+
+  /**
+   * This regex matches wikilink identifiers that are URLs, e.g. `[[https://example.com|Example]]`, these link to
+   * external sites rather than pages.
+   *
+   * @type {RegExp}
+   */
+  urlRegExp = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+  /**
+   * File extensions of each type of media that can be embedded, e.g. `![[clip.mp3]]`.
+   *
+   * @type {Object<string, Array<string>>}
+   */
+  mediaExtensions = {
+    image: ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp'],
+    audio: ['.mp3', '.wav', '.m4a', '.ogg', '.3gp', '.flac'],
+    video: ['.mp4', '.webm', '.ogv', '.mov', '.mkv'],
+    pdf: ['.pdf'],
+  };
+
   /**
    * Check if a filename is an image file by extension
    * @param {string} filename
    * @return {boolean}
    */
   isImageFile(filename) {
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp'];
-    return imageExtensions.some(ext => filename.toLowerCase().endsWith(ext));
+    return this.mediaType(filename) === 'image';
   }
 
   /**
-   * Find an image file in the filesystem
+   * Get the type of media a filename is by extension
+   * @param {string} filename
+   * @return {'image'|'audio'|'video'|'pdf'|null}
+   */
+  mediaType(filename) {
+    const lowerCased = filename.toLowerCase();
+    for (const [type, extensions] of Object.entries(this.mediaExtensions)) {
+      if (extensions.some(ext => lowerCased.endsWith(ext))) return type;
+    }
+    return null;
+  }
+
+  /**
+   * Find an image, or other media, file in the filesystem
    * @param {string} imagePath - The image path to look for
    * @param {string} baseDir - The base directory to search from
    * @param {string|undefined} filePathStem - The current file path stem for relative lookups
@@ -54,38 +97,26 @@ export default class WikilinkParser {
       };
     }
 
-    // Handle simple filename - search in current directory and baseDir recursively
+    // Handle simple filename - search in current directory, attachments folder and baseDir
     const searchPaths = [];
-    
+    const currentDir = filePathStem ? path.dirname(filePathStem) : null;
+
     // First try current directory if we have filePathStem
-    if (filePathStem) {
-      const currentDir = path.dirname(filePathStem);
+    if (currentDir !== null) {
       searchPaths.push(path.join(baseDir, currentDir, imagePath));
     }
-    
+
+    // Then try the Obsidian style attachments folder, this is relative to the current directory
+    // when prefixed with ./ otherwise it's relative to the base directory
+    const attachmentsFolder = this.opts.attachmentsFolder;
+    if (attachmentsFolder && attachmentsFolder.startsWith('./')) {
+      if (currentDir !== null) searchPaths.push(path.join(baseDir, currentDir, attachmentsFolder, imagePath));
+    } else if (attachmentsFolder) {
+      searchPaths.push(path.join(baseDir, attachmentsFolder, imagePath));
+    }
+
     // Then try base directory
     searchPaths.push(path.join(baseDir, imagePath));
-    
-    // Search for the file recursively in subdirectories
-    const findFileRecursively = (dir, filename) => {
-      try {
-        const files = fs.readdirSync(dir);
-        for (const file of files) {
-          const fullPath = path.join(dir, file);
-          const stat = fs.statSync(fullPath);
-          
-          if (stat.isFile() && file === filename) {
-            return fullPath;
-          } else if (stat.isDirectory()) {
-            const found = findFileRecursively(fullPath, filename);
-            if (found) return found;
-          }
-        }
-      } catch (e) {
-        // Ignore errors accessing directories
-      }
-      return null;
-    };
 
     for (const searchPath of searchPaths) {
       if (fs.existsSync(searchPath)) {
@@ -97,15 +128,23 @@ export default class WikilinkParser {
         };
       }
     }
-    
-    // If not found in direct paths, search recursively
-    const foundPath = findFileRecursively(baseDir, imagePath);
+
+    // If not found in direct paths, look up the filename in the attachment index
+    const {path: foundPath, ambiguous} = this.getAttachmentIndex(baseDir).find(imagePath, filePathStem);
+
+    if (ambiguous.length > 0) {
+      console.warn(
+        chalk.blue('[@photogabble/wikilinks]'),
+        chalk.yellow('WARNING'),
+        `Embed (${imagePath}) on page [${filePathStem}] matches more than one file equally close to the page (${ambiguous.join(', ')}), using (${foundPath})`
+      );
+    }
+
     if (foundPath) {
-      const relativePath = path.relative(baseDir, foundPath);
       return {
         exists: true,
-        href: '/' + relativePath.replace(/\\/g, '/'),
-        fullPath: foundPath
+        href: '/' + foundPath,
+        fullPath: path.join(baseDir, foundPath)
       };
     }
 
@@ -122,6 +161,11 @@ export default class WikilinkParser {
     this.deadLinks = deadLinks;
     this.linkCache = linkCache;
     this.inputDir = process.cwd(); // Default to current working directory
+    this.outputDir = undefined;
+
+    // Index of files within the input directory, built on first lookup
+    this.attachments = undefined;
+    this.attachmentsFor = undefined;
   }
 
   /**
@@ -132,6 +176,67 @@ export default class WikilinkParser {
     this.inputDir = inputDir;
   }
 
+  /**
+   * Set the output directory, this is excluded from the attachment index
+   * @param {string|undefined} outputDir
+   */
+  setOutputDir(outputDir) {
+    this.outputDir = outputDir;
+  }
+
+  /**
+   * Get the index of attachment files within the base directory, this is built once per build
+   * @param {string} baseDir
+   * @return {{find: function(string, string|undefined): {path: string|null, ambiguous: Array<string>}}}
+   */
+  getAttachmentIndex(baseDir) {
+    if (!this.attachments || this.attachmentsFor !== baseDir) {
+      const ignore = [...(this.opts.attachmentIgnore ?? [])];
+
+      if (this.outputDir) {
+        const output = path.relative(path.resolve(baseDir), path.resolve(this.outputDir)).replace(/\\/g, '/');
+        if (output && !output.startsWith('..')) ignore.push(`${output}/**`);
+      }
+
+      this.attachments = attachmentIndex(baseDir, ignore);
+      this.attachmentsFor = baseDir;
+    }
+
+    return this.attachments;
+  }
+
+  /**
+   * Clear the attachment index so that it's rebuilt by the next lookup
+   */
+  clearAttachmentIndex() {
+    this.attachments = undefined;
+    this.attachmentsFor = undefined;
+  }
+
+  /**
+   * Returns the link cache key for a wikilink found on the page with the given file path stem. Wikilinks are
+   * resolved in the context of the page linking them, e.g. relative paths, and so are cached per page.
+   *
+   * @param {string} link
+   * @param {string|undefined} filePathStem
+   * @return {string}
+   */
+  cacheKey(link, filePathStem = undefined) {
+    return filePathStem ? `${filePathStem}:${link}` : link;
+  }
+
+  /**
+   * Returns the cached result of parsing a wikilink on the page with the given file path stem. The result for
+   * another page isn't used, as the same wikilink may resolve differently on each page.
+   *
+   * @param {string} link
+   * @param {string|undefined} filePathStem
+   * @return {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta|undefined}
+   */
+  getCached(link, filePathStem = undefined) {
+    return this.linkCache.get(this.cacheKey(link, filePathStem));
+  }
+
   /**
    * Parses a single WikiLink into the link object understood by the Interlinker.
    *
@@ -141,8 +246,9 @@ export default class WikilinkParser {
    * @return {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta}
    */
   parseSingle(link, pageDirectory, filePathStem = undefined) {
-    if (this.linkCache.has(link)) {
-      return this.linkCache.get(link);
+    const cacheKey = this.cacheKey(link, filePathStem);
+    if (this.linkCache.has(cacheKey)) {
+      return this.linkCache.get(cacheKey);
     }
 
     // Wikilinks starting with a ! are considered Embeds e.g. `![[ ident ]]`
@@ -152,6 +258,32 @@ export default class WikilinkParser {
     // defining the link text prefixed by a | character, e.g. `[[ ident | custom link text ]]`
     const parts = link.slice((isEmbed ? 3 : 2), -2).split("|").map(part => part.trim());
 
+    ////
+    // External link identification:
+    // Wikilinks to a URL, e.g. `[[https://example.com|Example]]` or `![[https://youtu.be/id]]`, are not looked up
+    // as pages; the URL is kept intact, including any `#` or `:` characters, and used as the href.
+    if (this.urlRegExp.test(parts[0])) {
+      /** @var {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} */
+      const meta = {
+        title: parts.length === 2 ? parts[1] : null,
+        name: parts[0],
+        anchor: null,
+        link,
+        isEmbed,
+        isPath: false,
+        isExternal: true,
+        exists: true,
+        href: parts[0],
+        resolvingFnName: isEmbed ? 'external-embed' : 'external',
+        isImage: false,
+        mediaType: null,
+      };
+
+      this.linkCache.set(cacheKey, meta);
+
+      return meta;
+    }
+
     /** @var {import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta} */
     const meta = {
       title: parts.length === 2 ? parts[1] : null,
@@ -162,9 +294,11 @@ export default class WikilinkParser {
       link,
       isEmbed,
       isPath: false,
+      isExternal: false,
       exists: false,
       resolvingFnName: isEmbed ? 'default-embed' : 'default',
       isImage: false,
+      mediaType: null,
     };
 
     ////
@@ -226,12 +360,14 @@ export default class WikilinkParser {
       }
     }
 
-    // Check if this is an image embed
-    if (isEmbed && this.isImageFile(meta.name)) {
-      meta.isImage = true;
-      meta.resolvingFnName = 'image-embed';
-      
-      // Try to find the image file in the filesystem
+    // Check if this is an image, audio, video or PDF embed
+    const mediaType = isEmbed ? this.mediaType(meta.name) : null;
+    if (mediaType) {
+      meta.isImage = mediaType === 'image';
+      meta.mediaType = mediaType;
+      meta.resolvingFnName = `${mediaType}-embed`;
+
+      // Try to find the media file in the filesystem
       const imageResult = this.findImageFile(meta.name, this.inputDir, filePathStem);
       
       if (imageResult && imageResult.exists) {
@@ -244,18 +380,26 @@ export default class WikilinkParser {
           meta.title = path.basename(meta.name, path.extname(meta.name));
         }
       } else {
-        // Image not found, treat as dead link
-        this.deadLinks.add(link);
+        // Media not found, treat as dead link
+        this.deadLinks.addAsset(link, undefined, meta.isImage ? 'image' : 'embed');
         meta.href = this.opts.stubUrl;
         meta.resolvingFnName = '404-embed';
       }
     }
 
     // Lookup page data from 11ty's collection to obtain url and title if currently null
-    // Skip page lookup for images since they are already handled above
-    if (!meta.isImage) {
-      const {page, foundByAlias} = pageDirectory.findByLink(meta);
+    // Skip page lookup for media since they are already handled above
+    if (!meta.mediaType) {
+      const {page, foundByAlias, foundByNormalisation} = pageDirectory.findByLink(meta);
       if (page) {
+        if (foundByNormalisation && this.opts.linkMatching?.verbose) {
+          console.info(
+            chalk.blue('[@photogabble/wikilinks]'),
+            chalk.cyan('NOTICE'),
+            `Wikilink (${link}) on page [${filePathStem}] only matched (${page.inputPath}) after normalisation`
+          );
+        }
+
         if (foundByAlias) {
           meta.title = meta.name;
         } else if (meta.title === null && page.data.title) {
@@ -275,9 +419,9 @@ export default class WikilinkParser {
       }
     }
 
-    // Cache discovered meta to link, this cache can then be used by the Markdown render rule
-    // to display the link.
-    this.linkCache.set(link, meta);
+    // Cache discovered meta to link on this page, this cache can then be used by the Markdown
+    // render rule to display the link.
+    this.linkCache.set(cacheKey, meta);
 
     return meta;
   }
@@ -292,18 +436,38 @@ export default class WikilinkParser {
     return links.map(link => this.parseSingle(link, pageDirectory, filePathStem));
   }
 
+  /**
+   * Finds all block reference ids, e.g. `^block-id`, within a document. The returned ids
+   * do not include the `^` prefix. Ids within code aren't rendered and so are ignored.
+   *
+   * @param {string} document
+   * @param {boolean} isMarkdown
+   * @return {Set<string>}
+   */
+  findBlockIds(document, isMarkdown = true) {
+    const ids = new Set();
+    for (const line of maskCode(document, isMarkdown).split(/\r?\n/)) {
+      const match = line.trimEnd().match(this.blockIdRegExp);
+      if (match) ids.add(match[1]);
+    }
+    return ids;
+  }
+
   /**
    * Finds all wikilinks within a document (HTML or otherwise) and returns their
-   * parsed result.
+   * parsed result. Wikilinks within code or HTML comments are ignored as they're
+   * not rendered as links, for Markdown documents this includes code spans and
+   * fenced or indented code blocks.
    *
    * @param {string} document
    * @param {import('@photogabble/eleventy-plugin-interlinker').PageDirectoryService} pageDirectory
    * @param {string|undefined} filePathStem
+   * @param {boolean} isMarkdown
    * @return {Array<import('@photogabble/eleventy-plugin-interlinker').WikilinkMeta>}
    */
-  find(document, pageDirectory, filePathStem) {
+  find(document, pageDirectory, filePathStem, isMarkdown = true) {
     return this.parseMultiple(
-      (document.match(this.wikiLinkRegExp) || []),
+      (maskCode(document, isMarkdown).match(this.wikiLinkRegExp) || []),
       pageDirectory,
       filePathStem
     )
@@ -0,0 +1,90 @@
+import Assets from '../src/assets.js';
+import {consoleMockMessages} from './helpers.js';
+import path from 'node:path';
+import sinon from 'sinon';
+import fs from 'node:fs';
+import os from 'node:os';
+import test from 'ava';
+
+const fixture = () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'interlinker-assets-'));
+  const input = path.join(root, 'src');
+  const output = path.join(root, '_site');
+
+  fs.mkdirSync(path.join(input, 'figs'), {recursive: true});
+  fs.writeFileSync(path.join(input, 'figs', 'square.png'), 'square');
+  fs.writeFileSync(path.join(input, 'clip.mp3'), 'clip');
+
+  return {root, input, output};
+};
+
+test.serial('copies assets to their href within the output directory', t => {
+  const {root, input, output} = fixture();
+
+  const assets = new Assets();
+  assets.add('/figs/square.png', path.join(input, 'figs', 'square.png'), 'index.md');
+  assets.add('/clip.mp3', path.join(input, 'clip.mp3'), 'index.md');
+
+  t.is(assets.copy(output), 2);
+  t.is(fs.readFileSync(path.join(output, 'figs', 'square.png'), 'utf8'), 'square');
+  t.is(fs.readFileSync(path.join(output, 'clip.mp3'), 'utf8'), 'clip');
+
+  // Already copied assets are skipped.
+  t.is(assets.copy(output), 0);
+
+  fs.rmSync(root, {recursive: true});
+});
+
+test.serial('overwrites assets written by a previous copy or older than the asset', t => {
+  const {root, input, output} = fixture();
+
+  const assets = new Assets();
+  assets.add('/figs/square.png', path.join(input, 'figs', 'square.png'), 'index.md');
+  t.is(assets.copy(output), 1);
+
+  // In watch mode the asset is changed and copied again by the next build.
+  assets.clear();
+  fs.writeFileSync(path.join(input, 'figs', 'square.png'), 'a changed square');
+  assets.add('/figs/square.png', path.join(input, 'figs', 'square.png'), 'index.md');
+
+  const mock = sinon.stub(console, 'warn');
+  t.is(assets.copy(output), 1);
+  t.is(fs.readFileSync(path.join(output, 'figs', 'square.png'), 'utf8'), 'a changed square');
+
+  // Files left by an earlier process are overwritten when the asset has since been modified.
+  fs.writeFileSync(path.join(output, 'clip.mp3'), 'a stale clip');
+  fs.utimesSync(path.join(output, 'clip.mp3'), new Date(2000, 0, 1), new Date(2000, 0, 1));
+  const fresh = new Assets();
+  fresh.add('/clip.mp3', path.join(input, 'clip.mp3'), 'index.md');
+  t.is(fresh.copy(output), 1);
+  t.is(fs.readFileSync(path.join(output, 'clip.mp3'), 'utf8'), 'clip');
+  mock.restore();
+
+  t.is(consoleMockMessages(mock).length, 0);
+
+  fs.rmSync(root, {recursive: true});
+});
+
+test.serial('does not overwrite different files, copy missing files or copy outside the output directory', t => {
+  const {root, input, output} = fixture();
+
+  fs.mkdirSync(output);
+  fs.writeFileSync(path.join(output, 'clip.mp3'), 'a different clip');
+  fs.utimesSync(path.join(input, 'clip.mp3'), new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+  const assets = new Assets();
+  assets.add('/clip.mp3', path.join(input, 'clip.mp3'), 'index.md');
+  assets.add('/missing.png', path.join(input, 'missing.png'), 'index.md');
+  assets.add('/../outside.png', path.join(root, 'outside.png'), 'index.md');
+
+  const mock = sinon.stub(console, 'warn');
+  const copied = assets.copy(output);
+  mock.restore();
+
+  t.is(copied, 0);
+  t.is(fs.readFileSync(path.join(output, 'clip.mp3'), 'utf8'), 'a different clip');
+  t.false(fs.existsSync(path.join(root, 'outside.png')));
+  t.is(consoleMockMessages(mock).filter(line => line.includes('WARNING')).length, 3);
+
+  fs.rmSync(root, {recursive: true});
+});
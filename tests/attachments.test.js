@@ -0,0 +1,46 @@
+import {attachmentIndex} from '../src/attachments.js';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import test from 'ava';
+
+const fixture = (files) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'interlinker-attachments-'));
+  for (const file of files) {
+    fs.mkdirSync(path.join(root, path.dirname(file)), {recursive: true});
+    fs.writeFileSync(path.join(root, file), file);
+  }
+  return root;
+};
+
+test('finds files by name, including part of their path', t => {
+  const root = fixture(['figs/square.png', 'docs/paper.pdf']);
+  const index = attachmentIndex(root);
+
+  t.deepEqual(index.find('square.png', '/index'), {path: 'figs/square.png', ambiguous: []});
+  t.deepEqual(index.find('figs/square.png', '/index'), {path: 'figs/square.png', ambiguous: []});
+  t.deepEqual(index.find('other/square.png', '/index'), {path: null, ambiguous: []});
+  t.deepEqual(index.find('missing.png', '/index'), {path: null, ambiguous: []});
+
+  fs.rmSync(root, {recursive: true});
+});
+
+test('resolves duplicate filenames by proximity to the linking page', t => {
+  const root = fixture(['notes/sub/chart.png', 'other/chart.png', 'a/icon.png', 'b/icon.png']);
+  const index = attachmentIndex(root);
+
+  t.deepEqual(index.find('chart.png', '/notes/page'), {path: 'notes/sub/chart.png', ambiguous: []});
+  t.deepEqual(index.find('chart.png', '/other/page'), {path: 'other/chart.png', ambiguous: []});
+  t.deepEqual(index.find('icon.png', '/notes/page'), {path: 'a/icon.png', ambiguous: ['a/icon.png', 'b/icon.png']});
+
+  fs.rmSync(root, {recursive: true});
+});
+
+test('does not index ignored directories', t => {
+  const root = fixture(['node_modules/pkg/logo.png', '.git/logo.png', '_site/logo.png', 'src/logo.png']);
+  const index = attachmentIndex(root, ['**/node_modules/**', '**/.git/**', '_site/**']);
+
+  t.deepEqual(index.find('logo.png', '/index'), {path: 'src/logo.png', ambiguous: []});
+
+  fs.rmSync(root, {recursive: true});
+});
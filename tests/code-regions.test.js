@@ -0,0 +1,40 @@
+import {maskCode} from '../src/code-regions.js';
+import test from 'ava';
+
+const wikilinks = (document, isMarkdown = true) => maskCode(document, isMarkdown).match(/\[\[[^\]]+]]/g) ?? [];
+
+test('masking keeps the length and line breaks of the document', t => {
+  const document = 'Some `[[code]]`\n\n```\n[[fenced]]\n```\n';
+  const masked = maskCode(document);
+
+  t.is(masked.length, document.length);
+  t.deepEqual(masked.split('\n').map(line => line.length), document.split('\n').map(line => line.length));
+});
+
+test('masks code spans', t => {
+  t.deepEqual(wikilinks('A `[[Span]]`, a ``[[Double `span`]]`` and [[Link]].'), ['[[Link]]']);
+  t.deepEqual(wikilinks('A `[[Span\nover lines]]` and [[Link]].'), ['[[Link]]']);
+  t.deepEqual(wikilinks('An unclosed `[[Link]]\n\nparagraph`.'), ['[[Link]]']);
+});
+
+test('masks fenced code blocks', t => {
+  t.deepEqual(wikilinks('```js\n[[Fenced]]\n```\n\n[[Link]]'), ['[[Link]]']);
+  t.deepEqual(wikilinks('~~~~\n[[Fenced]]\n~~~\n[[Still fenced]]\n~~~~\n[[Link]]'), ['[[Link]]']);
+  t.deepEqual(wikilinks('[[Link]]\n\n```\n[[Unclosed fence]]'), ['[[Link]]']);
+});
+
+test('masks indented code blocks but not list item content', t => {
+  t.deepEqual(wikilinks('Paragraph\n\n    [[Indented]]\n\n    [[Still indented]]\n\n[[Link]]'), ['[[Link]]']);
+  t.deepEqual(wikilinks('Paragraph\n    [[Continuation]]'), ['[[Continuation]]']);
+  t.deepEqual(wikilinks('- Item\n\n    [[Item content]]'), ['[[Item content]]']);
+});
+
+test('masks html comments and pre or code elements', t => {
+  const document = '<!-- [[Comment]] -->\n<pre>\n[[Pre]]\n</pre>\n<code>[[Code]]</code>\n[[Link]]';
+  t.deepEqual(wikilinks(document), ['[[Link]]']);
+  t.deepEqual(wikilinks(document, false), ['[[Link]]']);
+});
+
+test('only masks markdown code in markdown documents', t => {
+  t.deepEqual(wikilinks('<ul>\n\n    <li>[[Indented]]</li>\n</ul>\n`[[Backticks]]`', false), ['[[Indented]]', '[[Backticks]]']);
+});
@@ -0,0 +1,117 @@
+import DeadLinks, {editDistance} from '../src/dead-links.js';
+import {consoleMockMessages} from './helpers.js';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import sinon from 'sinon';
+import test from 'ava';
+
+const deadLinks = () => {
+  const deadLinks = new DeadLinks();
+  deadLinks.add('[[Missing Page]]', path.join(process.cwd(), 'src/posts/hello.md'));
+  deadLinks.add('[[Missing Page]]', path.join(process.cwd(), 'src/drafts/wip.md'));
+  deadLinks.add('[[TODO: write this]]', path.join(process.cwd(), 'src/posts/hello.md'));
+  deadLinks.add('/archive/2019/', path.join(process.cwd(), 'src/posts/hello.md'));
+  deadLinks.addAnchor('[[Page#Missing]]', path.join(process.cwd(), 'src/posts/hello.md'));
+  return deadLinks;
+};
+
+test('counts dead links once per file', t => {
+  t.is(deadLinks().count(), 5);
+});
+
+test('does not count dead links in allowed files', t => {
+  t.is(deadLinks().count(['src/drafts/**']), 4);
+});
+
+test('does not count allowed links', t => {
+  t.is(deadLinks().count([], ['TODO*', '/archive/**']), 3);
+  t.is(deadLinks().count([], [/#Missing/]), 4);
+  t.is(deadLinks().count(['src/drafts/**'], ['Missing Page']), 3);
+});
+
+test('counts embed cycles once per file', t => {
+  const links = deadLinks();
+  links.addCycle('![[Page]]', path.join(process.cwd(), 'src/posts/hello.md'));
+  links.addCycle('![[Page]]', path.join(process.cwd(), 'src/posts/hello.md'));
+  t.is(links.count(), 6);
+});
+
+test('edit distance counts insertions, deletions and substitutions', t => {
+  t.is(editDistance('About', 'About'), 0);
+  t.is(editDistance('Abuot', 'About'), 2);
+  t.is(editDistance('Hello', 'Hell'), 1);
+  t.is(editDistance('', 'Page'), 4);
+});
+
+test('entries include kind, reason, position and suggestions', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-links-'));
+  const file = path.join(dir, 'hello.md');
+  fs.writeFileSync(file, 'Hello world.\n\nSee [[Abuot]] and ![[Notes#Missing]].\n\n![[photo.png]] <a href="/abot/">about</a>');
+
+  const links = new DeadLinks();
+  links.setIdentifiers(new Map([
+    ['About', {url: '/about/'}],
+    ['About Me', {url: '/about/me/'}],
+    ['Notes', {url: '/notes/'}],
+  ]));
+
+  links.add('[[Abuot]]', file);
+  links.add('/abot/', file);
+  links.add('[[Not in the file]]', file);
+  links.addAnchor('![[Notes#Missing]]', file);
+  links.addAsset('![[photo.png]]', file, 'image');
+
+  const entries = links.entries();
+  fs.rmSync(dir, {recursive: true});
+
+  t.deepEqual(entries, [
+    {link: '[[Abuot]]', kind: 'wikilink', reason: 'missing-page', file, line: 3, column: 5, suggestions: ['About']},
+    {link: '/abot/', kind: 'html', reason: 'missing-page', file, line: 5, column: 25, suggestions: ['/about/']},
+    {link: '[[Not in the file]]', kind: 'wikilink', reason: 'missing-page', file, line: null, column: null, suggestions: []},
+    {link: '![[Notes#Missing]]', kind: 'embed', reason: 'missing-anchor', file, line: 3, column: 19, suggestions: []},
+    {link: '![[photo.png]]', kind: 'image', reason: 'missing-asset', file, line: 5, column: 1, suggestions: []},
+  ]);
+});
+
+test('entries are positioned at the link itself, ignoring front matter, code and longer links', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-links-'));
+  const file = path.join(dir, 'hello.md');
+  fs.writeFileSync(file, [
+    '---',
+    'description: See [[Abuot]] and /abot/',
+    '---',
+    '`[[Abuot]]` ![[Abuot]] <a href="/abot/team/">team</a>',
+    '',
+    '    <a href="/abot/">in code</a>',
+    '',
+    'See [[Abuot]] and [about](/abot/).',
+  ].join('\n'));
+
+  const links = new DeadLinks();
+  links.add('[[Abuot]]', file);
+  links.add('/abot/', file);
+
+  const entries = links.entries();
+  fs.rmSync(dir, {recursive: true});
+
+  t.deepEqual(entries.map(({link, line, column}) => ({link, line, column})), [
+    {link: '[[Abuot]]', line: 8, column: 5},
+    {link: '/abot/', line: 8, column: 27},
+  ]);
+});
+
+test('console report includes position and suggestions', t => {
+  const mock = sinon.stub(console, 'warn');
+
+  const links = new DeadLinks();
+  links.setIdentifiers(new Map([['Missing Pages', {url: '/missing-pages/'}]]));
+  links.add('[[Missing Page]]', 'does-not-exist.md');
+  links.report('console');
+
+  mock.restore();
+  t.deepEqual(consoleMockMessages(mock), [
+    '[@photogabble/wikilinks] WARNING Wikilink ([[Missing Page]]) found pointing to non-existent page (did you mean Missing Pages?) in:',
+    '- does-not-exist.md',
+  ]);
+});
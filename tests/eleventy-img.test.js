@@ -0,0 +1,43 @@
+import {eleventyImageTransform} from '../src/eleventy-img.js';
+import interlinkerPlugin from '../index.js';
+import {fixturePath} from './helpers.js';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import test from 'ava';
+
+const image = {
+  src: '/figs/square.png',
+  path: fixturePath('wiki-image-website/figs/square.png'),
+  alt: 'A red square',
+  width: '8',
+  height: null,
+  loading: 'lazy',
+};
+
+test('adapter is available as a property of the plugin', t => {
+  t.is(interlinkerPlugin.eleventyImageTransform, eleventyImageTransform);
+});
+
+test('generates responsive markup using eleventy-img', async t => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'interlinker-img-'));
+
+  const html = await eleventyImageTransform({
+    formats: ['webp', 'png'],
+    outputDir,
+    urlPath: '/img/',
+  }, {
+    class: 'embed',
+  })(image);
+
+  const files = fs.readdirSync(outputDir);
+  fs.rmSync(outputDir, {recursive: true});
+
+  t.true(html.startsWith('<picture>'));
+  t.regex(html, /<source type="image\/webp" srcset="\/img\/[^"]+-8\.webp 8w"/);
+  t.regex(html, /<img[^>]+alt="A red square"/);
+  t.regex(html, /<img[^>]+loading="lazy"/);
+  t.regex(html, /<img[^>]+class="embed"/);
+  t.regex(html, /sizes="8px"/);
+  t.is(files.length, 2);
+});
@@ -14,6 +14,26 @@ test.afterEach(() => {
   if (fs.existsSync(deadLinksPathname)) {
     fs.rmSync(deadLinksPathname);
   }
+
+  const linkGraphOutput = fixturePath('website-with-link-graph/_site');
+  if (fs.existsSync(linkGraphOutput)) {
+    fs.rmSync(linkGraphOutput, {recursive: true});
+  }
+
+  const mediaEmbedsOutput = fixturePath('website-with-media-embeds/_site');
+  if (fs.existsSync(mediaEmbedsOutput)) {
+    fs.rmSync(mediaEmbedsOutput, {recursive: true});
+  }
+
+  const unlinkedMentionsOutput = fixturePath('website-with-unlinked-mentions/_site');
+  if (fs.existsSync(unlinkedMentionsOutput)) {
+    fs.rmSync(unlinkedMentionsOutput, {recursive: true});
+  }
+
+  const renderedLinksOutput = fixturePath('website-with-rendered-links/_site');
+  if (fs.existsSync(renderedLinksOutput)) {
+    fs.rmSync(renderedLinksOutput, {recursive: true});
+  }
 })
 
 test("Sample small Website (wikilinks and regular links)", async t => {
@@ -255,6 +275,7 @@ test.serial("Custom resolving functions (are invoked)", async t => {
   );
 
   t.true(fs.existsSync(fixturePath('website-with-custom-resolving-fn/.dead-links.json')));
+  t.deepEqual(JSON.parse(fs.readFileSync(fixturePath('website-with-custom-resolving-fn/.dead-links.json'), 'utf8')), []);
 });
 
 /**
@@ -324,6 +345,173 @@ test("Wikilinks within code blocks get ignored", async t => {
   );
 });
 
+test.serial("Wikilinks within code are not discovered as links", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-code-wikilinks'), fixturePath('website-with-code-wikilinks/_site'), {
+    configPath: fixturePath('website-with-code-wikilinks/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(consoleMockMessages(mock).length, 0, 'wikilinks within code are not reported as dead links');
+
+  // Only the liquid template links to the target, its indented wikilink isn't code.
+  t.is(
+    normalize(findResultByUrl(results, '/target/').content),
+    '<div><p>The page being linked to.</p></div><div><a href="/template/">Template</a></div>'
+  );
+});
+
+test("Relative wikilinks and embeds resolve in the context of each linking page", async t => {
+  let elev = new Eleventy(fixturePath('website-with-relative-links'), fixturePath('website-with-relative-links/_site'), {
+    configPath: fixturePath('website-with-relative-links/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+
+  t.is(
+    normalize(findResultByUrl(results, '/docs/a/').content),
+    '<div><p>Read the <a href="/docs/a/intro/">Introduction A</a> first. <img src="/docs/a/diagram.svg" alt="diagram" /></p></div><div></div>'
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/docs/b/').content),
+    '<div><p>Read the <a href="/docs/b/intro/">Introduction B</a> first. <img src="/docs/b/diagram.svg" alt="diagram" /></p></div><div></div>'
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/docs/b/intro/').content),
+    '<div><p>Introducing section B.</p></div><div><a href="/docs/b/">Section B</a></div>'
+  );
+});
+
+test.serial("Relative and absolute internal html links are included in backlinks", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-html-links'), fixturePath('website-with-html-links/_site'), {
+    configPath: fixturePath('website-with-html-links/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(consoleMockMessages(mock).length, 0);
+
+  t.is(
+    normalize(findResultByUrl(results, '/about/').content),
+    '<div><p>About this site.</p></div><div><a href="/docs/faq/">FAQ</a><a href="/docs/guide/">Guide</a></div>'
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/docs/guide/').content),
+    '<div><p>Read <a href="../../about/">about this site</a> first.</p></div><div><a href="/docs/faq/">FAQ</a></div>'
+  );
+});
+
+test.serial("Html links with template syntax in their href are ignored", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-template-links'), fixturePath('website-with-template-links/_site'), {
+    configPath: fixturePath('website-with-template-links/eleventy.config.js'),
+  });
+
+  // failOnDeadLinks is set, so this would throw if the template hrefs were reported as dead links.
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(consoleMockMessages(mock).length, 0);
+
+  t.is(
+    normalize(findResultByUrl(results, '/').content),
+    '<div><ul><li><a href="/posts/hello/">Hello</a></li></ul><a href="/posts/hello/">Hello</a></div><div></div>'
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/posts/hello/').content),
+    '<div><p>Hello world.</p></div><div></div>'
+  );
+});
+
+test.serial("Internal links in rendered output are reported as dead links when enabled", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-rendered-links'), fixturePath('website-with-rendered-links/_site'), {
+    configPath: fixturePath('website-with-rendered-links/eleventy.config.js'),
+  });
+
+  await elev.toJSON();
+  mock.restore();
+
+  const messages = consoleMockMessages(mock);
+
+  // The shortcode's link to /contact/ is only found in the rendered output, /gone/ is found in both but
+  // only reported once and the stub url of the dead wikilink isn't reported.
+  t.is(messages.length, 6);
+  t.is(messages.filter(message => message.includes('index.md')).length, 3);
+  t.true(messages.some(message => message.includes('Wikilink ([[Missing Page]])')));
+  t.true(messages.some(message => message.includes('(/contact/)')));
+  t.true(messages.some(message => message.includes('(/gone/)')));
+
+  // The layout's feed and author links are resources rather than pages.
+  t.false(messages.some(message => message.includes('(/feed.xml)') || message.includes('(/humans.txt)')));
+});
+
+test.serial("Internal links in rendered output are added to the link graph but not backlinks", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-rendered-links'), fixturePath('website-with-rendered-links/_site'), {
+    configPath: fixturePath('website-with-rendered-links/eleventy.config.js'),
+    quietMode: true,
+  });
+
+  await elev.write();
+  mock.restore();
+
+  // Each page's layout links to both pages and the Home page imports the About page's collection, so it renders
+  // after About. Only About's backlink from the Markdown link in the Home page's source is available to templates.
+  t.true(normalize(fs.readFileSync(fixturePath('website-with-rendered-links/_site/index.html'), 'utf8')).endsWith('<div></div>'));
+  t.true(normalize(fs.readFileSync(fixturePath('website-with-rendered-links/_site/about/index.html'), 'utf8')).endsWith('<div><a href="/">Home</a></div>'));
+
+  const graph = JSON.parse(fs.readFileSync(fixturePath('website-with-rendered-links/_site/link-graph.json'), 'utf8'));
+  t.deepEqual(graph.edges, [
+    {source: '/', target: '/about/', type: 'html'},
+    {source: '/about/', target: '/', type: 'html'},
+  ]);
+});
+
+test.serial("Markdown inline and reference links are included in backlinks", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-markdown-links'), fixturePath('website-with-markdown-links/_site'), {
+    configPath: fixturePath('website-with-markdown-links/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(
+    normalize(findResultByUrl(results, '/notes/foo/').content),
+    '<div><p>The foo note.</p></div><div><a href="/notes/My Note/">My Note</a><a href="/notes/">Notes</a></div>'
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/notes/My Note/').content),
+    '<div><p>See <a href="/notes/foo/">the foo note</a> for more.</p></div><div><a href="/notes/">Notes</a></div>'
+  );
+
+  // Links to Markdown files are rewritten to the page url, those not found are left as is.
+  t.is(
+    normalize(findResultByUrl(results, '/notes/').content),
+    '<div><p>Start with <a href="/notes/foo/">foo</a> then <a href="/notes/My Note/#intro">my note</a> and <a href="missing.md">a missing note</a>.</p></div><div></div>'
+  );
+
+  const messages = consoleMockMessages(mock);
+  t.is(messages.length, 2);
+  t.true(messages[0].includes('(missing.md)'));
+});
+
 test("Wiki images are parsed and rendered correctly", async t => {
     let elev = new Eleventy(fixturePath('wiki-image-website'), fixturePath('wiki-image-website/_site'), {
       configPath: fixturePath('wiki-image-website/eleventy.config.js'),
@@ -338,7 +526,7 @@ test("Wiki images are parsed and rendered correctly", async t => {
       'Simple wiki image');
     t.true(normalizedContent.includes('This is a smaller stick man: <img src="/stick man.svg" alt="stick man" width="100px" />'), 
       'Wiki image resize');
-    t.true(normalizedContent.includes('Only the first number is significant: <img src="/stick man.svg" alt="stick man" width="100px" />'), 
+    t.true(normalizedContent.includes('Width and height are both set: <img src="/stick man.svg" alt="stick man" width="100px" height="500px" />'), 
       'Wiki image full resize');
     t.true(normalizedContent.includes('Relative link should work: <img src="/figs/square.png" alt="square" />'), 
       'Relative image link');
@@ -349,3 +537,401 @@ test("Wiki images are parsed and rendered correctly", async t => {
     
 });
   
+
+test.serial("Heading embeds only render the referenced section", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-section-embeds'), fixturePath('website-with-section-embeds/_site'), {
+    configPath: fixturePath('website-with-section-embeds/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(
+    normalize(findResultByUrl(results, '/').content),
+    `<div><h2>First</h2><p>First section.</p><h3>First child</h3><p>Nested under first.</p><section><h2>Heading</h2><p>Wrapped section.</p></section></div>`
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/missing/').content),
+    `<div>[UNABLE TO LOCATE EMBED]</div>`
+  );
+
+  t.deepEqual(consoleMockMessages(mock), [
+    '[@photogabble/wikilinks] WARNING Embed (![[Notes#Does not exist]]) found pointing to non-existent anchor in:',
+    `- ${fixturePath('website-with-section-embeds/missing.md')}:6:1`,
+  ]);
+});
+
+test.serial("Block references can be linked to and embedded", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-block-references'), fixturePath('website-with-block-references/_site'), {
+    configPath: fixturePath('website-with-block-references/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(
+    normalize(findResultByUrl(results, '/notes/').content),
+    `<div><p>An introduction paragraph.</p><p id="^quotable">A quotable paragraph.</p><ul><li>First item</li><li id="^second-item">Second item</li></ul><pre><code>code ^in-code</code></pre></div>`
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/').content),
+    `<div><p>See <a href="/notes/#^quotable">this paragraph</a>.</p><p id="^quotable">A quotable paragraph.</p><ul><li id="^second-item">Second item</li></ul></div>`
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/broken/').content),
+    `<div><p>See <a href="/notes/#^missing-link">Notes</a> and <a href="/notes/#^in-code">Notes</a>.</p>[UNABLE TO LOCATE EMBED]</div>`
+  );
+
+  const messages = consoleMockMessages(mock);
+  t.is(messages.length, 6);
+  t.true(messages.includes('[@photogabble/wikilinks] WARNING Wikilink ([[Notes#^missing-link]]) found pointing to non-existent anchor in:'));
+  // Block ids within code aren't rendered, so can't be linked to.
+  t.true(messages.includes('[@photogabble/wikilinks] WARNING Wikilink ([[Notes#^in-code]]) found pointing to non-existent anchor in:'));
+  t.true(messages.includes('[@photogabble/wikilinks] WARNING Embed (![[Notes#^missing-embed]]) found pointing to non-existent anchor in:'));
+});
+
+test.serial("Links to non-existent anchors are reported when validateAnchors is enabled", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-anchor-validation'), fixturePath('website-with-anchor-validation/_site'), {
+    configPath: fixturePath('website-with-anchor-validation/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  t.is(
+    normalize(findResultByUrl(results, '/').content),
+    `<div><p>Links to <a href="/target/#Existing Heading">Target</a>, <a href="/target/#Missing Heading">Target</a>, <a href="/target/#comments">Target</a> and <a href="/js-page/#sec">JS Page</a>.</p></div>`
+  );
+
+  const messages = consoleMockMessages(mock);
+  t.is(messages.length, 4);
+  t.true(messages.includes('[@photogabble/wikilinks] WARNING Wikilink ([[Target#Missing Heading]]) found pointing to non-existent anchor in:'));
+  t.true(messages.includes('[@photogabble/wikilinks] WARNING Link (/target/#missing-id) found pointing to non-existent anchor in:'));
+
+  // Anchors are found in the linked page's rendered output, including those added by its layout.
+  t.false(messages.some(message => message.includes('#comments')));
+
+  // Pages whose engine can't be compiled from a string (11ty.js) are skipped rather than failing the build.
+  t.false(messages.some(message => message.includes('[[JS Page#sec]]')));
+});
+
+test.serial("Build fails when dead links exceed failOnDeadLinks maximum", async t => {
+  let elev = new Eleventy(fixturePath('website-with-failing-dead-links'), fixturePath('website-with-failing-dead-links/_site'), {
+    configPath: fixturePath('website-with-failing-dead-links/eleventy.config.js'),
+  });
+
+  // Disable the console log output of 11tys error handler
+  const errorHandler = elev.errorHandler;
+  errorHandler.log = () => {};
+
+  const error = await t.throwsAsync(elev.toJSON());
+  t.is(error.message, 'Found 2 dead links, exceeding the maximum of 1 allowed by failOnDeadLinks');
+});
+
+test.serial("Duplicate identifiers halt the build when duplicates is set to error", async t => {
+  let elev = new Eleventy(fixturePath('website-with-duplicate-identifiers'), fixturePath('website-with-duplicate-identifiers/_site'), {
+    configPath: fixturePath('website-with-duplicate-identifiers/eleventy.config.js'),
+  });
+
+  // Disable the console log output of 11tys error handler
+  const errorHandler = elev.errorHandler;
+  errorHandler.log = () => {};
+
+  const error = await t.throwsAsync(elev.toJSON());
+  t.true(error.message.startsWith('Found pages sharing the same identifier:'));
+  t.true(error.message.includes(`"AI" is shared by: `));
+  t.true(error.message.includes(`artificial-intelligence.md (alias)`));
+  t.true(error.message.includes(`adobe-illustrator.md (alias)`));
+});
+
+test("Backlinks include link type, text, anchor and excerpt sorted by title", async t => {
+  let elev = new Eleventy(fixturePath('website-with-rich-backlinks'), fixturePath('website-with-rich-backlinks/_site'), {
+    configPath: fixturePath('website-with-rich-backlinks/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  const [, backlinks] = normalize(findResultByUrl(results, '/target/').content).split('</div>');
+
+  t.is(
+    backlinks,
+    '<ul>' +
+    '<li>Alpha|/alpha/|wikilink|Bullseye|Section|The Bullseye is linked by alias.</li>' +
+    '<li>Beta|/beta/|html|html link||This has an html link within it.</li>' +
+    '<li>Charlie|/charlie/|embed|Target||Target</li>' +
+    '<li>Zed|/zed/|wikilink|custom text||Some text before, a link to custom text and some emphasised text after.</li>' +
+    '</ul>'
+  );
+});
+
+test("Link graph is available as global data", async t => {
+  let elev = new Eleventy(fixturePath('website-with-link-graph'), fixturePath('website-with-link-graph/_site'), {
+    configPath: fixturePath('website-with-link-graph/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  const graph = JSON.parse(findResultByUrl(results, '/graph.json').content);
+
+  t.deepEqual(
+    graph.nodes.sort((a, b) => a.url.localeCompare(b.url)),
+    [
+      {url: '/', title: 'Home', tags: ['home'], aliases: [], inbound: 1, outbound: 2},
+      {url: '/about/', title: 'About', tags: [], aliases: ['Info'], inbound: 1, outbound: 1},
+      {url: '/snippet/', title: 'Snippet', tags: ['partial', 'shared'], aliases: [], inbound: 1, outbound: 0},
+    ]
+  );
+
+  t.deepEqual(
+    graph.edges.sort((a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target)),
+    [
+      {source: '/', target: '/about/', type: 'link'},
+      {source: '/', target: '/snippet/', type: 'embed'},
+      {source: '/about/', target: '/', type: 'html'},
+    ]
+  );
+
+  t.false(fs.existsSync(fixturePath('website-with-link-graph/_site/link-graph.json')), 'graph file is only written when writing to the file system');
+});
+
+test.serial("Link graph is written to the output directory", async t => {
+  let elev = new Eleventy(fixturePath('website-with-link-graph'), fixturePath('website-with-link-graph/_site'), {
+    configPath: fixturePath('website-with-link-graph/eleventy.config.js'),
+    quietMode: true,
+  });
+
+  await elev.write();
+
+  const graph = JSON.parse(fs.readFileSync(fixturePath('website-with-link-graph/_site/link-graph.json'), 'utf8'));
+  t.is(graph.nodes.length, 3);
+  t.is(graph.edges.length, 3);
+});
+
+test("Unlinked mentions of page titles and aliases are listed on the mentioned page", async t => {
+  let elev = new Eleventy(fixturePath('website-with-unlinked-mentions'), fixturePath('website-with-unlinked-mentions/_site'), {
+    configPath: fixturePath('website-with-unlinked-mentions/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+
+  t.is(
+    normalize(findResultByUrl(results, '/target/').content),
+    '<div><p>Artificial Intelligence mentioning itself is not an unlinked mention.</p></div><ul><li>Glossary|/glossary/|AI|AI: short for the Notes page subject.</li><li>Notes|/notes/|artificial intelligence|Research into artificial intelligence is ongoing.</li></ul>'
+  );
+
+  t.true(normalize(findResultByUrl(results, '/notes/').content).endsWith('<ul><li>Glossary|/glossary/|Notes|AI: short for the Notes page subject.</li></ul>'));
+
+  // Mentions within code, links and tags are ignored.
+  t.true(normalize(findResultByUrl(results, '/excluded/').content).endsWith('<ul></ul>'));
+});
+
+test.serial("Unlinked mentions are written to the output directory", async t => {
+  let elev = new Eleventy(fixturePath('website-with-unlinked-mentions'), fixturePath('website-with-unlinked-mentions/_site'), {
+    configPath: fixturePath('website-with-unlinked-mentions/eleventy.config.js'),
+    quietMode: true,
+  });
+
+  await elev.write();
+
+  const report = JSON.parse(fs.readFileSync(fixturePath('website-with-unlinked-mentions/_site/unlinked-mentions.json'), 'utf8'));
+  t.deepEqual(Object.keys(report).sort(), ['/notes/', '/target/']);
+  t.deepEqual(report['/target/'].map(({url, text}) => ({url, text})), [
+    {url: '/glossary/', text: 'AI'},
+    {url: '/notes/', text: 'artificial intelligence'},
+  ]);
+});
+
+test("Mentions are auto-linked on pages opting in and count toward backlinks", async t => {
+  let elev = new Eleventy(fixturePath('website-with-auto-links'), fixturePath('website-with-auto-links/_site'), {
+    configPath: fixturePath('website-with-auto-links/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+
+  // Only the first mention of each page is linked, and headings are left as is.
+  t.is(
+    normalize(findResultByUrl(results, '/glossary/').content),
+    '<div><h2>Artificial Intelligence</h2><p>Also known as <a href="/ai/">AI</a>, artificial intelligence includes <a href="/ml/">Machine Learning</a>. More about artificial intelligence.</p></div><ul></ul><ul></ul>'
+  );
+
+  t.is(
+    normalize(findResultByUrl(results, '/ai/').content),
+    '<div><p>The study of intelligent machines.</p></div><ul><li>Glossary|/glossary/|mention|AI|Also known as AI, artificial intelligence includes Machine Learning. More about artificial…</li></ul><ul></ul>'
+  );
+
+  // Pages that haven't opted in are not auto-linked, their mentions remain unlinked.
+  t.is(
+    normalize(findResultByUrl(results, '/notes/').content),
+    `<div><p>Notes on machine learning aren't auto-linked without opting in.</p></div><ul></ul><ul></ul>`
+  );
+  t.true(normalize(findResultByUrl(results, '/ml/').content).endsWith('<ul><li>Notes|/notes/</li></ul>'));
+});
+
+test.serial("Nested embeds are resolved recursively, reporting cycles", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-recursive-embeds'), fixturePath('website-with-recursive-embeds/_site'), {
+    configPath: fixturePath('website-with-recursive-embeds/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  // A embeds B embeds C embeds A.
+  t.is(
+    normalize(findResultByUrl(results, '/a/').content),
+    '<p>A content.</p><p>B content.</p><p>C content.</p>[EMBED CYCLE DETECTED]'
+  );
+
+  // Beyond the maximum embed depth nested embeds are linked to.
+  t.is(
+    normalize(findResultByUrl(results, '/d/').content),
+    '<p>D content.</p><p>E content.</p><p>F content.</p><a href="/g/">G</a>'
+  );
+
+  const messages = consoleMockMessages(mock);
+  t.true(messages.includes('[@photogabble/wikilinks] WARNING Embed (![[a]]) found creating an embed cycle in:'));
+  t.true(messages.includes(`- ${fixturePath('website-with-recursive-embeds/c.md')}:7:1`));
+});
+
+test("Embeds are tracked as embeds and embeddedBy page data", async t => {
+  let elev = new Eleventy(fixturePath('website-with-embed-tracking'), fixturePath('website-with-embed-tracking/_site'), {
+    configPath: fixturePath('website-with-embed-tracking/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+
+  t.true(normalize(findResultByUrl(results, '/snippet/').content).endsWith(
+    '<ul></ul><ul><li>Page One|/page-one/|</li><li>Page Two|/page-two/|Usage</li><li>Page Two|/page-two/|Notes</li></ul>'
+  ));
+
+  // Each section of the same page that's embedded is listed.
+  t.true(normalize(findResultByUrl(results, '/page-two/').content).endsWith(
+    '<ul><li>Other|/other/|</li><li>Snippet|/snippet/|Usage</li><li>Snippet|/snippet/|Notes</li></ul><ul></ul>'
+  ));
+
+  // Links are not embeds.
+  t.true(normalize(findResultByUrl(results, '/page-one/').content).endsWith('<ul><li>Snippet|/snippet/|</li></ul><ul></ul>'));
+  t.true(normalize(findResultByUrl(results, '/other/').content).endsWith('<ul></ul><ul><li>Page Two|/page-two/|</li></ul>'));
+});
+
+test.serial("Audio, video and PDF embeds are rendered", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-media-embeds'), fixturePath('website-with-media-embeds/_site'), {
+    configPath: fixturePath('website-with-media-embeds/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  const content = normalize(findResultByUrl(results, '/home/').content);
+
+  t.true(content.includes('Audio: <audio controls src="/media/clip.mp3" title="clip"></audio>'));
+  t.true(content.includes('Audio with title: <audio controls src="/media/clip.mp3" title="Interview"></audio>'));
+  t.true(content.includes('Video: <video controls src="/demo.mp4" title="demo"></video>'));
+  t.true(content.includes('Video resized: <video controls src="/demo.mp4" title="demo" width="640" height="360"></video>'));
+  t.true(content.includes('PDF: <iframe src="/media/paper.pdf" title="paper"></iframe>'));
+  t.true(content.includes('PDF page: <iframe src="/media/paper.pdf#page=3" title="Paper"></iframe>'));
+  t.true(content.includes('Missing: [UNABLE TO LOCATE EMBED]'));
+
+  t.is(consoleMockMessages(mock).length, 2, 'missing media is reported as a dead link');
+});
+
+test.serial("Wikilinks and embeds of URLs link to external sites", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-external-links'), fixturePath('website-with-external-links/_site'), {
+    configPath: fixturePath('website-with-external-links/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  const content = normalize(findResultByUrl(results, '/home/').content);
+
+  t.true(content.includes('Link: <a href="https://example.com/docs" rel="external noopener" target="_blank">Example docs</a>'));
+  t.true(content.includes('Link with fragment: <a href="https://example.com/docs#install" rel="external noopener" target="_blank">https://example.com/docs#install</a>'));
+  t.true(content.includes('YouTube: <iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ?start=90" title="Embedded video" allowfullscreen></iframe>'));
+  t.true(content.includes('Short YouTube: <iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" title="A video" allowfullscreen></iframe>'));
+  t.true(content.includes('Vimeo: <iframe src="https://player.vimeo.com/video/76979871" title="Embedded video" width="640" height="360" allowfullscreen></iframe>'));
+  t.true(content.includes('Card: <a class="link-card" href="https://example.com/article" rel="external noopener" target="_blank"><span class="link-card-title">An article</span><span class="link-card-host">example.com</span></a>'));
+
+  t.is(consoleMockMessages(mock).length, 0, 'external links are not reported as dead links');
+});
+
+test.serial("Embedded assets are copied to the output directory", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-media-embeds'), fixturePath('website-with-media-embeds/_site'), {
+    configPath: fixturePath('website-with-media-embeds/eleventy.config.js'),
+    quietMode: true,
+  });
+
+  await elev.write();
+  mock.restore();
+
+  for (const asset of ['media/clip.mp3', 'demo.mp4', 'media/paper.pdf']) {
+    t.deepEqual(
+      fs.readFileSync(fixturePath(`website-with-media-embeds/_site/${asset}`)),
+      fs.readFileSync(fixturePath(`website-with-media-embeds/${asset}`)),
+    );
+  }
+
+  t.true(consoleMockMessages(mock).includes('[@photogabble/wikilinks] WARNING Embed (![[missing.mp3]]) found pointing to non-existent file in:'));
+});
+
+test.serial("Attachments are found via the attachments folder and by proximity", async t => {
+  const mock = sinon.stub(console, 'warn');
+
+  let elev = new Eleventy(fixturePath('website-with-attachments'), fixturePath('website-with-attachments/_site'), {
+    configPath: fixturePath('website-with-attachments/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  mock.restore();
+
+  const content = normalize(findResultByUrl(results, '/notes/page/').content);
+
+  t.true(content.includes('Attachments folder: <img src="/assets/diagram.png" alt="diagram" />'));
+  t.true(content.includes('Current folder: <img src="/notes/photo.png" alt="photo" />'));
+  t.true(content.includes('Closest: <img src="/notes/sub/chart.png" alt="chart" />'));
+  t.true(content.includes('Ambiguous: <img src="/a/icon.png" alt="icon" />'));
+  t.true(content.includes('Ignored: [UNABLE TO LOCATE EMBED]'));
+
+  t.true(consoleMockMessages(mock).includes(
+    '[@photogabble/wikilinks] WARNING Embed (icon.png) on page [/notes/page] matches more than one file equally close to the page (a/icon.png, b/icon.png), using (a/icon.png)'
+  ));
+});
+
+test("Image embeds support lazy loading and captions", async t => {
+  let elev = new Eleventy(fixturePath('website-with-image-options'), fixturePath('website-with-image-options/_site'), {
+    configPath: fixturePath('website-with-image-options/eleventy.config.js'),
+  });
+
+  const results = await elev.toJSON();
+
+  t.is(
+    normalize(findResultByUrl(results, '/home/').content),
+    '<div><p>Plain: <img src="/figs/square.png" alt="square" loading="lazy" /></p><p>Sized: <img src="/figs/square.png" alt="square" width="300px" height="200px" loading="lazy" /></p><figure><img src="/figs/square.png" alt="A red square" loading="lazy" /><figcaption>A red square</figcaption></figure></div><div></div>'
+  );
+});
+
+test("Image embeds are handed to the imageTransform option", async t => {
+  let elev = new Eleventy(fixturePath('website-with-image-options'), fixturePath('website-with-image-options/_site'), {
+    configPath: fixturePath('website-with-image-options/eleventy.transform.config.js'),
+  });
+
+  const results = await elev.toJSON();
+  const content = normalize(findResultByUrl(results, '/home/').content);
+
+  t.true(content.includes('Sized: <picture><source srcset="/figs/square.png.webp" type="image/webp"><img src="/figs/square.png" alt="square" data-file="square.png" data-size="300x200"></picture>'));
+  t.true(content.includes('<figure><picture><source srcset="/figs/square.png.webp" type="image/webp"><img src="/figs/square.png" alt="A red square" data-file="square.png" data-size="nullxnull"></picture><figcaption>A red square</figcaption></figure>'));
+});
@@ -0,0 +1,17 @@
+import {extractExcerpt} from '../src/excerpt.js';
+import test from 'ava';
+
+const excerpt = (document, needle, length = 80) => {
+  const start = document.indexOf(needle);
+  return extractExcerpt(document, start, start + needle.length, length);
+};
+
+test('excerpt is plain text of the paragraph containing the link', t => {
+  const document = '# Heading\n\nFirst paragraph.\n\nA **bold** [markdown link](/x/) and a [[Wiki Link|wikilink]] in `code` &amp; text.\n\nLast paragraph.';
+  t.is(excerpt(document, '[[Wiki Link|wikilink]]'), 'A bold markdown link and a wikilink in code & text.');
+});
+
+test('excerpt is truncated at word boundaries either side of the link', t => {
+  const document = 'one two three four five six [[Link]] seven eight nine ten eleven';
+  t.is(excerpt(document, '[[Link]]', 12), '…five six Link seven eight…');
+});
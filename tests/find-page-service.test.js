@@ -1,4 +1,4 @@
-import {pageLookup} from '../src/find-page.js';
+import {findConflicts, linkNormaliser, pageLookup} from '../src/find-page.js';
 import test from 'ava';
 
 const pageDirectory = pageLookup([
@@ -79,4 +79,107 @@ test('pageLookup (find by alias as string)', t => {
   t.is(page.fileSlug, 'string-lookup-test');
 });
 
-// TODO: add testing when two pages share the same alias, what _should_ happen ?
+const duplicatePages = [
+  {
+    inputPath: './src/b.md',
+    fileSlug: 'b',
+    data: {title: 'Page B', aliases: ['shared']},
+    url: '/b/'
+  },
+  {
+    inputPath: './src/a.md',
+    fileSlug: 'a',
+    data: {title: 'Page A', aliases: ['shared']},
+    url: '/a/'
+  },
+  {
+    inputPath: './src/c.md',
+    fileSlug: 'c',
+    data: {title: 'shared'},
+    url: '/c/'
+  },
+  {
+    inputPath: './src/paginated.md',
+    fileSlug: 'paginated',
+    data: {title: 'Paginated'},
+    url: '/paginated/1/'
+  },
+  {
+    inputPath: './src/paginated.md',
+    fileSlug: 'paginated',
+    data: {title: 'Paginated'},
+    url: '/paginated/2/'
+  },
+];
+
+test('findConflicts (lists every page sharing an identifier)', t => {
+  const conflicts = findConflicts(duplicatePages);
+
+  t.deepEqual([...conflicts.keys()], ['shared']);
+  t.deepEqual(
+    conflicts.get('shared').map(({page, kind}) => [page.url, kind]),
+    [['/b/', 'alias'], ['/a/', 'alias'], ['/c/', 'title']]
+  );
+});
+
+test('pageLookup (returns first match when duplicates are not tie broken)', t => {
+  const {page, foundByAlias} = pageLookup(duplicatePages).findByLink({name: 'shared', isEmbed: false});
+  t.is(page.url, '/b/');
+  t.true(foundByAlias);
+});
+
+test('pageLookup (tie breaks duplicates by identifier precedence then inputPath)', t => {
+  const {page, foundByAlias} = pageLookup(duplicatePages, {duplicates: 'tiebreak'}).findByLink({name: 'shared', isEmbed: false});
+  t.is(page.url, '/c/');
+  t.false(foundByAlias);
+
+  const aliasOnly = duplicatePages.slice(0, 2);
+  t.is(pageLookup(aliasOnly, {duplicates: 'tiebreak'}).findByLink({name: 'shared', isEmbed: false}).page.url, '/a/');
+  t.is(pageLookup(aliasOnly.reverse(), {duplicates: 'tiebreak'}).findByLink({name: 'shared', isEmbed: false}).page.url, '/a/');
+});
+
+test('linkNormaliser (is null when no matching strategy is configured)', t => {
+  t.is(linkNormaliser(undefined), null);
+  t.is(linkNormaliser({verbose: true}), null);
+});
+
+test('linkNormaliser (applies configured strategies)', t => {
+  t.is(linkNormaliser({caseInsensitive: true})('Artificial  Intelligence'), 'artificial  intelligence');
+  t.is(linkNormaliser({collapseWhitespace: true})(' Artificial  Intelligence '), 'Artificial Intelligence');
+  t.is(linkNormaliser({unicode: 'NFC'})('Cafe\u0301'), 'Caf\u00e9');
+  t.is(linkNormaliser({unicode: true})('Cafe\u0301'), 'Caf\u00e9', 'true uses the NFC form');
+  t.is(linkNormaliser({slugify: true})('Café: Olé!'), 'cafe-ole');
+});
+
+test('linkNormaliser (throws on an invalid unicode form)', t => {
+  const error = t.throws(() => linkNormaliser({unicode: 'nfc'}));
+  t.is(error.message, 'Invalid linkMatching unicode option "nfc", expected true, false or one of NFC, NFD, NFKC, NFKD');
+});
+
+test('pageLookup (matches normalised identifiers after exact matches)', t => {
+  const pages = [
+    {inputPath: './ai.md', fileSlug: 'ai', data: {title: 'Artificial Intelligence', aliases: ['Machine Minds']}, url: '/ai/'},
+    {inputPath: './lower.md', fileSlug: 'lower', data: {title: 'artificial intelligence'}, url: '/lower/'},
+  ];
+
+  const strict = pageLookup(pages);
+  t.false(strict.findByLink({name: 'Artificial  intelligence', isEmbed: false}).found);
+
+  const forgiving = pageLookup(pages, {linkMatching: {caseInsensitive: true, collapseWhitespace: true}});
+
+  const exact = forgiving.findByLink({name: 'artificial intelligence', isEmbed: false});
+  t.is(exact.page.url, '/lower/');
+  t.false(exact.foundByNormalisation);
+
+  const normalised = forgiving.findByLink({name: 'Artificial  Intelligence ', isEmbed: false});
+  t.is(normalised.page.url, '/ai/');
+  t.true(normalised.foundByNormalisation);
+
+  const alias = forgiving.findByLink({name: 'machine minds', isEmbed: false});
+  t.is(alias.page.url, '/ai/');
+  t.true(alias.foundByAlias);
+  t.true(alias.foundByNormalisation);
+
+  const slugs = pageLookup(pages, {linkMatching: {slugify: true}});
+  t.is(slugs.findByLink({name: 'Artificial-Intelligence', isEmbed: false}).page.url, '/ai/');
+});
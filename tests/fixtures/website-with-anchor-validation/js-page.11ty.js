@@ -0,0 +1,5 @@
+export const data = {
+  title: 'JS Page',
+};
+
+export const render = () => '<h2 id="sec">Section</h2>';
@@ -0,0 +1,15 @@
+import WikiLinksPlugin from '../../../index.js';
+
+export default function (eleventyConfig) {
+  eleventyConfig.addPlugin(WikiLinksPlugin, {
+    attachmentsFolder: 'assets',
+    attachmentIgnore: ['**/drafts/**'],
+  });
+
+  return {
+    dir: {
+      includes: "_includes",
+      layouts: "_layouts",
+    }
+  }
+}
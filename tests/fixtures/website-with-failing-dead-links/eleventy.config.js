@@ -0,0 +1,11 @@
+import WikiLinksPlugin from '../../../index.js';
+
+export default function (eleventyConfig) {
+  eleventyConfig.addPlugin(WikiLinksPlugin, {
+    deadLinkReport: 'none',
+    failOnDeadLinks: {
+      allowLinks: ['allowed link'],
+      maxDeadLinks: 1,
+    },
+  });
+}
@@ -0,0 +1,16 @@
+import WikiLinksPlugin from '../../../index.js';
+import path from 'node:path';
+
+export default function (eleventyConfig) {
+  eleventyConfig.addPlugin(WikiLinksPlugin, {
+    imageCaptions: true,
+    imageTransform: async (image) => `<picture><source srcset="${image.src}.webp" type="image/webp"><img src="${image.src}" alt="${image.alt}" data-file="${path.basename(image.path)}" data-size="${image.width}x${image.height}"></picture>`,
+  });
+
+  return {
+    dir: {
+      includes: "_includes",
+      layouts: "_layouts",
+    }
+  }
+}
@@ -0,0 +1,7 @@
+import WikiLinksPlugin from '../../../index.js';
+
+export default function (eleventyConfig) {
+  eleventyConfig.addPlugin(WikiLinksPlugin, {
+    linkGraphFile: 'link-graph.json',
+  });
+}
@@ -0,0 +1,17 @@
+import WikiLinksPlugin from '../../../index.js';
+
+export default function (eleventyConfig) {
+  eleventyConfig.addPlugin(WikiLinksPlugin, {
+    parseRenderedLinks: true,
+    linkGraphFile: 'link-graph.json',
+  });
+
+  eleventyConfig.addShortcode('contact', () => '<a href="/contact/">Get in touch</a>');
+
+  return {
+    dir: {
+      includes: "_includes",
+      layouts: "_layouts",
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import {extractBlock, extractHeadingSection, findAnchors, hasAnchor} from '../src/html-fragments.js';
+import test from 'ava';
+
+const html = '<h1>Title</h1><p>Intro</p><h2 id="first-heading">First Heading</h2><p>One</p><h3>Child</h3><p>Two</p><h2>Second</h2><p>Three</p>';
+
+test('extractHeadingSection stops at next heading of same or higher level', t => {
+  t.is(
+    extractHeadingSection(html, 'First Heading'),
+    '<h2 id="first-heading">First Heading</h2><p>One</p><h3>Child</h3><p>Two</p>'
+  );
+  t.is(extractHeadingSection(html, 'Child'), '<h3>Child</h3><p>Two</p>');
+  t.is(extractHeadingSection(html, 'Second'), '<h2>Second</h2><p>Three</p>');
+});
+
+test('extractHeadingSection matches heading by id or case insensitive text', t => {
+  t.is(extractHeadingSection(html, 'first-heading'), extractHeadingSection(html, 'First Heading'));
+  t.is(extractHeadingSection(html, ' first   heading '), extractHeadingSection(html, 'First Heading'));
+});
+
+test('extractHeadingSection returns null when heading not found', t => {
+  t.is(extractHeadingSection(html, 'Missing'), null);
+});
+
+test('extractBlock returns element with block id', t => {
+  const blocks = '<p>One</p><p id="^para">Two</p><ol><li>Three</li><li id="^item">Four</li></ol>';
+  t.is(extractBlock(blocks, '^para'), '<p id="^para">Two</p>');
+  t.is(extractBlock(blocks, '^item'), '<ol><li id="^item">Four</li></ol>');
+  t.is(extractBlock(blocks, '^missing'), null);
+});
+
+test('findAnchors collects element ids and heading text', t => {
+  const anchors = findAnchors('<h2 id="first">First Heading</h2><p>One <span id="inline">span</span></p><h3>Second</h3>');
+  t.true(hasAnchor(anchors, 'first'));
+  t.true(hasAnchor(anchors, 'inline'));
+  t.true(hasAnchor(anchors, 'first heading'));
+  t.true(hasAnchor(anchors, 'Second'));
+  t.false(hasAnchor(anchors, 'missing'));
+});
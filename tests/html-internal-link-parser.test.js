@@ -34,3 +34,72 @@ test('html link parser ignores href within code blocks', t => {
   const html = fs.readFileSync(__dirname + '/fixtures/within-code.html', {encoding:'utf8', flag:'r'});
   t.is(1, ((new HTMLLinkParser(new DeadLinks())).find(html, pageDirectory)).length);
 });
+
+test('html link parser splits fragment identifier into anchor', t => {
+  const parser = new HTMLLinkParser(new DeadLinks());
+  const [link] = parser.find('<a href="/home/#some%20heading">home</a>', pageDirectory);
+
+  t.is(link.href, '/home/');
+  t.is(link.anchor, 'some heading');
+  t.is(link.link, '/home/#some%20heading');
+});
+
+const sitePages = pageLookup([
+  {inputPath: './docs/guide/index.md', filePathStem: '/docs/guide/index', fileSlug: 'guide', url: '/docs/guide/', data: {title: 'Guide'}},
+  {inputPath: './docs/guide/setup.md', filePathStem: '/docs/guide/setup', fileSlug: 'setup', url: '/docs/guide/setup/', data: {title: 'Setup'}},
+  {inputPath: './docs/faq.md', filePathStem: '/docs/faq', fileSlug: 'faq', url: '/docs/faq/', data: {title: 'FAQ'}},
+  {inputPath: './about.md', filePathStem: '/about', fileSlug: 'about', url: '/about/', data: {title: 'About'}},
+  {inputPath: './legacy.html', filePathStem: '/legacy', fileSlug: 'legacy', url: '/legacy.html', data: {title: 'Legacy'}},
+]);
+
+test('html link parser resolves relative links against the linking page', t => {
+  const deadLinks = new DeadLinks();
+  const parser = new HTMLLinkParser(deadLinks);
+  const links = parser.find('<a href="setup/">Setup</a> <a href="../faq/?ref=guide#top">FAQ</a> <a href="./setup.md">Setup source</a> <a href="../faq.md">FAQ source</a> <a href="#heading">Same page</a>', sitePages, '/docs/guide/', '/docs/guide/index');
+
+  t.deepEqual(links.map(link => link.page?.url), ['/docs/guide/setup/', '/docs/faq/', '/docs/guide/setup/', '/docs/faq/']);
+  t.is(links[1].anchor, 'top');
+  t.is(links[1].link, '../faq/?ref=guide#top');
+  t.is(deadLinks.count(), 0);
+});
+
+test('html link parser matches .html and index.html variants', t => {
+  const deadLinks = new DeadLinks();
+  const parser = new HTMLLinkParser(deadLinks);
+  const links = parser.find('<a href="/about/index.html">About</a> <a href="/about.html">About</a> <a href="/legacy.html">Legacy</a> <a href="/missing.html">Missing</a>', sitePages);
+
+  t.deepEqual(links.map(link => link.page?.url), ['/about/', '/about/', '/legacy.html', undefined]);
+  t.deepEqual([...deadLinks.gravestones.keys()], ['/missing.html']);
+});
+
+test('html link parser treats absolute links within the site url as internal', t => {
+  const parser = new HTMLLinkParser(new DeadLinks(), {siteUrl: 'https://example.com/blog/'});
+  const links = parser.find('<a href="https://example.com/blog/about/">About</a> <a href="//example.com/blog/docs/faq/#q">FAQ</a> <a href="https://example.com/other/">Outside blog</a> <a href="https://elsewhere.com/blog/about/">Elsewhere</a> <a href="mailto:me@example.com">Email</a>', sitePages);
+
+  t.deepEqual(links.map(link => link.page?.url), ['/about/', '/docs/faq/']);
+  t.is(links[1].anchor, 'q');
+});
+
+test('html link parser finds area and link elements, ignoring resources', t => {
+  const parser = new HTMLLinkParser(new DeadLinks());
+  const links = parser.find('<link rel="prev" href="/about/" title="Previous"><link rel="stylesheet" href="/style.css"><link rel="icon" href="/favicon.ico"><map><area href="/docs/faq/" alt="FAQ"></map>', sitePages);
+
+  t.deepEqual(links.map(link => [link.page?.url, link.text]), [['/about/', 'Previous'], ['/docs/faq/', 'FAQ']]);
+});
+
+test('html link parser only finds navigational link elements within a layout head', t => {
+  const deadLinks = new DeadLinks();
+  const parser = new HTMLLinkParser(deadLinks);
+  const links = parser.find(`<html><head>
+    <link rel="canonical" href="/docs/faq/">
+    <link rel="alternate" type="application/rss+xml" href="/feed.xml">
+    <link rel="author" href="/humans.txt">
+    <link rel="me" href="/about/">
+    <link rel="webmention" href="/webmention/">
+    <link rel="search" type="application/opensearchdescription+xml" href="/opensearch.xml">
+    <link rel="next" href="/docs/guide/setup/">
+  </head><body></body></html>`, sitePages);
+
+  t.deepEqual(links.map(link => link.page?.url), ['/docs/faq/', '/docs/guide/setup/']);
+  t.is(deadLinks.count(), 0);
+});
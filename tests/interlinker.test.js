@@ -0,0 +1,81 @@
+import Interlinker from '../src/interlinker.js';
+import sinon from 'sinon';
+import test from 'ava';
+
+const allPages = () => [
+  {
+    inputPath: './a.md',
+    fileSlug: 'a',
+    data: {title: 'A', aliases: ['shared']},
+    url: '/a/'
+  },
+  {
+    inputPath: './b.md',
+    fileSlug: 'b',
+    data: {title: 'B', aliases: ['shared']},
+    url: '/b/'
+  },
+];
+
+test.serial('page directory is built once per all pages collection', t => {
+  const mock = sinon.stub(console, 'warn');
+  const interlinker = new Interlinker({duplicates: 'warn', resolvingFns: new Map()});
+
+  const pages = allPages();
+  const pageDirectory = interlinker.getPageDirectory(pages);
+
+  t.is(interlinker.getPageDirectory(pages), pageDirectory);
+  t.is(mock.callCount, 1, 'conflicts should only be reported once');
+
+  t.not(interlinker.getPageDirectory(allPages()), pageDirectory);
+  t.is(mock.callCount, 2);
+
+  mock.restore();
+});
+
+test('page directory throws on conflict when duplicates set to error', t => {
+  const interlinker = new Interlinker({duplicates: 'error', resolvingFns: new Map()});
+  const error = t.throws(() => interlinker.getPageDirectory(allPages()));
+  t.is(error.message, 'Found pages sharing the same identifier:\n\t- "shared" is shared by: ./a.md (alias), ./b.md (alias)');
+});
+
+test('links found in rendered output are merged into the link graph and dead links once every page has rendered', async t => {
+  const interlinker = new Interlinker({duplicates: 'tiebreak', resolvingFns: new Map(), stubUrl: '/stubs/'});
+  const pages = [
+    {inputPath: './home.md', filePathStem: '/home', fileSlug: 'home', data: {title: 'Home'}, url: '/'},
+    {inputPath: './about.md', filePathStem: '/about', fileSlug: 'about', data: {title: 'About'}, url: '/about/'},
+  ];
+  interlinker.getPageDirectory(pages);
+
+  interlinker.computeRendered(
+    {url: '/', inputPath: './home.md'},
+    '<nav><a href="/">Home</a> <a href="/about/">About</a></nav><p><a href="/stubs/">Missing Page</a> <a href="/missing/">Missing</a></p>'
+  );
+
+  // Nothing is merged until every page has rendered, and then only into the link graph and dead links.
+  t.deepEqual(interlinker.linkGraph.edges, []);
+  t.is(interlinker.deadLinks.count(), 0);
+
+  interlinker.applyRenderedLinks();
+
+  t.is(pages[1].data.backlinks, undefined, 'rendered links are not added to backlinks');
+  t.deepEqual(interlinker.linkGraph.edges, [{source: '/', target: '/about/', type: 'html'}], 'links to the page itself are ignored');
+  t.deepEqual([...interlinker.deadLinks.gravestones.entries()], [['/missing/', [{file: './home.md', kind: 'html', reason: 'missing-page'}]]], 'links to the stub url are ignored');
+});
+
+test('unlinked mentions are only found when enabled', async t => {
+  const mentionPages = () => [
+    {inputPath: './ai.md', filePathStem: '/ai', fileSlug: 'ai', data: {title: 'Artificial Intelligence'}, url: '/ai/', page: {templateSyntax: 'md'}, template: {read: async () => ({content: 'About AI.'})}},
+    {inputPath: './notes.md', filePathStem: '/notes', fileSlug: 'notes', data: {title: 'Notes'}, url: '/notes/', page: {templateSyntax: 'md'}, template: {read: async () => ({content: 'Artificial intelligence is ongoing.\n\n    artificial intelligence'})}},
+  ];
+
+  for (const unlinkedMentions of [false, true]) {
+    const interlinker = new Interlinker({resolvingFns: new Map(), unlinkedMentions});
+    const pages = mentionPages();
+    await interlinker.compute({title: 'Notes', page: {inputPath: './notes.md', url: '/notes/'}, collections: {all: pages}});
+
+    t.deepEqual(pages[0].data.unlinkedMentions?.map(({url, text}) => ({url, text})), unlinkedMentions
+      ? [{url: '/notes/', text: 'Artificial intelligence'}]
+      : undefined);
+  }
+});
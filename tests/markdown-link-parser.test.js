@@ -0,0 +1,53 @@
+import MarkdownLinkParser from '../src/markdown-link-parser.js';
+import HTMLLinkParser from '../src/html-link-parser.js';
+import DeadLinks from '../src/dead-links.js';
+import {pageLookup} from '../src/find-page.js';
+import test from 'ava';
+
+const pageDirectory = pageLookup([
+  {inputPath: './notes/index.md', filePathStem: '/notes/index', fileSlug: 'notes', url: '/notes/', data: {title: 'Notes'}},
+  {inputPath: './notes/foo.md', filePathStem: '/notes/foo', fileSlug: 'foo', url: '/notes/foo/', data: {title: 'Foo'}},
+  {inputPath: './notes/My Note.md', filePathStem: '/notes/My Note', fileSlug: 'my-note', url: '/notes/my-note/', data: {title: 'My Note'}},
+]);
+
+const parser = (deadLinks = new DeadLinks(), opts = {}) => new MarkdownLinkParser(new HTMLLinkParser(deadLinks, opts));
+
+test('markdown link parser finds inline and reference links', t => {
+  const links = parser().find('See [here](/notes/foo/), [my note](My%20Note.md#intro) and [the foo note][foo].\n\n[foo]: ./foo.md "Foo"', pageDirectory, '/notes/', '/notes/index');
+
+  t.deepEqual(links.map(link => [link.text, link.page?.url, link.anchor]), [
+    ['here', '/notes/foo/', null],
+    ['my note', '/notes/my-note/', 'intro'],
+    ['the foo note', '/notes/foo/', null],
+  ]);
+  t.true(links.every(link => link.isMarkdown));
+});
+
+test('markdown link parser records where each link is used', t => {
+  const document = 'A [foo][] link.\n\n[foo]: /notes/foo/';
+  const [link] = parser().find(document, pageDirectory, '/notes/', '/notes/index');
+
+  t.is(document.slice(link.start, link.end), '[foo][]');
+});
+
+test('markdown link parser ignores images, code, external and same page links', t => {
+  const links = parser().find('![image](/notes/foo/) `[code](/notes/foo/)` [external](https://example.com/) [heading](#heading)\n\n```\n[fenced](/notes/foo/)\n```', pageDirectory, '/notes/', '/notes/index');
+  t.is(links.length, 0);
+});
+
+test('markdown link parser ignores links with template syntax', t => {
+  const deadLinks = new DeadLinks();
+  const links = parser(deadLinks).find("[Post](<{{ post.url }}>), [x]({{'/a/'|url}}) and [y]({%link notes/foo.md%})\n\n[ref]: <{{ post.url }}>\n\nSee [the post][ref].", pageDirectory, '/notes/', '/notes/index');
+
+  t.is(links.length, 0);
+  t.is(deadLinks.count(), 0);
+});
+
+test('markdown link parser reports links to missing pages', t => {
+  const deadLinks = new DeadLinks();
+  const links = parser(deadLinks).find('[missing](../missing.md) and [gone](/gone/)', pageDirectory, '/notes/', '/notes/index');
+
+  t.is(links.length, 2);
+  t.false(links.some(link => link.exists));
+  t.deepEqual([...deadLinks.gravestones.keys()], ['../missing.md', '/gone/']);
+});
@@ -1,5 +1,6 @@
 import {install} from '../src/markdown-ext.js';
 import WikilinkParser from '../src/wikilink-parser.js';
+import Interlinker from '../src/interlinker.js';
 import {fileURLToPath} from "node:url";
 import {normalize} from './helpers.js';
 import MarkdownIt from 'markdown-it';
@@ -31,6 +32,36 @@ test('inline rule correctly parses single wikilink', t => {
   );
 });
 
+test('inline rule renders wikilinks as resolved for the page being rendered', t => {
+  const wikilinkParser = new WikilinkParser(opts, new Set(), new Map());
+
+  // The same relative wikilink resolves to a different page from each linking page.
+  wikilinkParser.linkCache.set('/index:[[./notes]]', {
+    link: '[[./notes]]',
+    content: '<a href="/notes/">Notes</a>',
+    isEmbed: false,
+  });
+  wikilinkParser.linkCache.set('/blog/index:[[./notes]]', {
+    link: '[[./notes]]',
+    content: '<a href="/blog/notes/">Blog Notes</a>',
+    isEmbed: false,
+  });
+  wikilinkParser.linkCache.set('[[./notes]]', {
+    link: '[[./notes]]',
+    content: '<a href="/notes/">Notes</a>',
+    isEmbed: false,
+  });
+
+  const md = MarkdownIt({html: true});
+  install(md, wikilinkParser);
+
+  t.is(md.render('See [[./notes]].', {page: {filePathStem: '/index'}}), '<p>See <a href="/notes/">Notes</a>.</p>\n');
+  t.is(md.render('See [[./notes]].', {page: {filePathStem: '/blog/index'}}), '<p>See <a href="/blog/notes/">Blog Notes</a>.</p>\n');
+
+  // Pages whose wikilinks haven't been resolved don't use those resolved for another page, or without a page.
+  t.is(md.render('See [[./notes]].', {page: {filePathStem: '/about'}}), '<p>See [[./notes]].</p>\n');
+});
+
 test('inline rule correctly parses multiple wikilinks', t => {
   const wikilinkParser = new WikilinkParser(opts, new Set(), new Map());
 
@@ -102,6 +133,65 @@ test('inline rule ignores wikilink within code and pre tags', t => {
   );
 });
 
+test('core rule auto-links mentions of the pages found by the interlinker', t => {
+  const interlinker = new Interlinker({autoLinkMentions: {firstOccurrenceOnly: false}});
+  interlinker.unlinkedMentions.setIdentifiers(new Map([
+    ['Artificial Intelligence', {url: '/ai/'}],
+    ['Notes', {url: '/notes/'}],
+  ]));
+  interlinker.autoLinks.set('/page/', new Set(['/ai/']));
+
+  const md = MarkdownIt({html: true});
+  install(md, interlinker.wikiLinkParser, interlinker);
+
+  const markdown = '# Artificial Intelligence\n\nAbout artificial intelligence in Notes, `Artificial Intelligence` and [Artificial Intelligence](/x/).\n\nMore Artificial Intelligence.';
+
+  t.is(
+    normalize(md.render(markdown, {page: {url: '/page/'}})),
+    '<h1>Artificial Intelligence</h1><p>About <a href="/ai/">artificial intelligence</a> in Notes, <code>Artificial Intelligence</code> and <a href="/x/">Artificial Intelligence</a>.</p><p>More <a href="/ai/">Artificial Intelligence</a>.</p>'
+  );
+
+  // Pages without auto-links are left as is.
+  t.is(
+    normalize(md.render(markdown, {page: {url: '/other/'}})),
+    '<h1>Artificial Intelligence</h1><p>About artificial intelligence in Notes, <code>Artificial Intelligence</code> and <a href="/x/">Artificial Intelligence</a>.</p><p>More Artificial Intelligence.</p>'
+  );
+
+  // Mentions within raw HTML anchor tags aren't linked, as that would nest anchors.
+  t.is(
+    normalize(md.render('See <a href="/x/">notes on Artificial Intelligence</a> and <A href="/y/">Artificial Intelligence</A>, then Artificial Intelligence.', {page: {url: '/page/'}})),
+    '<p>See <a href="/x/">notes on Artificial Intelligence</a> and <A href="/y/">Artificial Intelligence</A>, then <a href="/ai/">Artificial Intelligence</a>.</p>'
+  );
+});
+
+test('core rule rewrites links to markdown files to the page url', t => {
+  const pages = [
+    {inputPath: './docs/index.md', filePathStem: '/docs/index', fileSlug: 'docs', data: {title: 'Docs'}, url: '/docs/'},
+    {inputPath: './docs/guides/Setup.md', filePathStem: '/docs/guides/Setup', fileSlug: 'setup', data: {title: 'Setup'}, url: '/docs/setup/'},
+  ];
+  const markdown = '[Setup](guides/Setup.md#install), [missing](Missing.md) and [other](/other/).';
+  const env = {page: {url: '/docs/', filePathStem: '/docs/index', inputPath: './docs/index.md'}};
+
+  const interlinker = new Interlinker({duplicates: 'tiebreak', resolvingFns: new Map(), rewriteMarkdownLinks: true});
+  interlinker.getPageDirectory(pages);
+
+  const md = MarkdownIt({html: true});
+  install(md, interlinker.wikiLinkParser, interlinker);
+
+  t.is(
+    normalize(md.render(markdown, env)),
+    '<p><a href="/docs/setup/#install">Setup</a>, <a href="Missing.md">missing</a> and <a href="/other/">other</a>.</p>'
+  );
+  t.deepEqual([...interlinker.deadLinks.gravestones.entries()], [['Missing.md', [{file: './docs/index.md', kind: 'html', reason: 'missing-page'}]]]);
+
+  // Links are left as is when disabled.
+  interlinker.opts.rewriteMarkdownLinks = false;
+  t.is(
+    normalize(md.render(markdown, env)),
+    '<p><a href="guides/Setup.md#install">Setup</a>, <a href="Missing.md">missing</a> and <a href="/other/">other</a>.</p>'
+  );
+});
+
 test('inline rule correctly parses mixed wikilink and embed in multiline input', t => {
   const wikilinkParser = new WikilinkParser(opts, new Set(), new Map());
 
@@ -148,3 +238,15 @@ test('inline rule correctly parses mixed wikilink and embed in multiline input',
     normalize(html)
   );
 });
+
+test('core rule strips block reference ids and sets them as element ids', t => {
+  const wikilinkParser = new WikilinkParser(opts, new Set(), new Map());
+
+  const md = MarkdownIt({html: true});
+  install(md, wikilinkParser);
+
+  t.is(
+    normalize(md.render('A paragraph ^para-1\n\n- list item ^item-1\n- another item\n\n> A quote\n\n^quote-1\n\nNot a ^reference here')),
+    '<p id="^para-1">A paragraph</p><ul><li id="^item-1">list item</li><li>another item</li></ul><blockquote id="^quote-1"><p>A quote</p></blockquote><p>Not a ^reference here</p>'
+  );
+});
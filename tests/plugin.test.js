@@ -42,7 +42,7 @@ test('hooks into eleventy.config', t => {
 
   t.is(eleventyMock.calls.get('on'), 4); // eleventy.config, eleventy.extensionmap, eleventy.after, eleventy.beforeWatch
   t.is(eleventyMock.calls.get('amendLibrary'), 1); // Adding Markdown-it ext
-  t.is(eleventyMock.calls.get('addGlobalData'), 1); // Adding global eleventyComputed data
+  t.is(eleventyMock.calls.get('addGlobalData'), 2); // Adding global eleventyComputed and linkGraph data
 });
 
 test('registers parse and render rules with markdown-it', t => {
@@ -63,6 +63,13 @@ test('registers parse and render rules with markdown-it', t => {
         }
       }
     },
+    core: {
+      ruler: {
+        push: function (name, fn) {
+          this[name] = fn;
+        }
+      }
+    },
     renderer: {
       rules: {}
     },
@@ -79,11 +86,17 @@ test('registers parse and render rules with markdown-it', t => {
 
     t.is(typeof mdMock.inline.ruler.inline_wikilink, 'undefined');
     t.is(typeof mdMock.block.ruler.block_wikilink, 'undefined');
+    t.is(typeof mdMock.core.ruler.block_reference, 'undefined');
+    t.is(typeof mdMock.core.ruler.auto_link_mentions, 'undefined');
+    t.is(typeof mdMock.core.ruler.markdown_file_links, 'undefined');
 
     fn(mdMock);
 
     t.is(typeof mdMock.inline.ruler.inline_wikilink, 'function');
     t.is(typeof mdMock.block.ruler.block_wikilink, 'function');
+    t.is(typeof mdMock.core.ruler.block_reference, 'function');
+    t.is(typeof mdMock.core.ruler.auto_link_mentions, 'function');
+    t.is(typeof mdMock.core.ruler.markdown_file_links, 'function');
   });
 
   plugin(eleventyMock);
@@ -0,0 +1,53 @@
+import UnlinkedMentions from '../src/unlinked-mentions.js';
+import test from 'ava';
+
+const mentions = () => {
+  const unlinkedMentions = new UnlinkedMentions();
+  unlinkedMentions.setIdentifiers(new Map([
+    ['Artificial Intelligence', {url: '/ai/'}],
+    ['AI', {url: '/ai/'}],
+    ['Intelligence', {url: '/intelligence/'}],
+  ]));
+  return unlinkedMentions;
+};
+
+test('finds whole word mentions case-insensitively', t => {
+  const found = mentions().find('Advances in ai, and AIR quality.');
+  t.deepEqual(found.map(({page, text, start, end}) => ({url: page.url, text, start, end})), [
+    {url: '/ai/', text: 'ai', start: 12, end: 14},
+  ]);
+});
+
+test('prefers the longest matching identifier', t => {
+  const found = mentions().find('About artificial intelligence and intelligence.');
+  t.deepEqual(found.map(({page, text}) => ({url: page.url, text})), [
+    {url: '/ai/', text: 'artificial intelligence'},
+    {url: '/intelligence/', text: 'intelligence'},
+  ]);
+});
+
+test('ignores mentions within code, links and tags', t => {
+  const document = [
+    'Inline `AI` code, [[AI]] and [[Page|AI]] wikilinks, [AI](/ai/) links and <a href="/">AI</a> anchors.',
+    '<img alt="AI">{{ AI }}{% if AI %}{% endif %}',
+    '```',
+    'AI',
+    '```',
+  ].join('\n');
+
+  t.deepEqual(mentions().find(document), []);
+});
+
+test('finds nothing without identifiers', t => {
+  const unlinkedMentions = new UnlinkedMentions();
+  unlinkedMentions.setIdentifiers(new Map());
+  t.deepEqual(unlinkedMentions.find('Some text'), []);
+});
+
+test('ignores mentions within indented code blocks and html comments', t => {
+  const document = 'Text.\n\n    AI in code\n\n<!-- AI -->';
+  t.deepEqual(mentions().find(document), []);
+
+  // Markdown code is only code within Markdown documents.
+  t.deepEqual(mentions().find('`AI`', true, false).map(({text}) => text), ['AI']);
+});
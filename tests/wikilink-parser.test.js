@@ -1,6 +1,8 @@
 import WikilinkParser from '../src/wikilink-parser.js';
 import {defaultResolvingFn, defaultEmbedFn} from '../src/resolvers.js';
 import {pageLookup} from '../src/find-page.js';
+import DeadLinks from '../src/dead-links.js';
+import sinon from 'sinon';
 import test from 'ava';
 
 const pageDirectory = pageLookup([
@@ -214,3 +216,83 @@ test('regex does match special ASCII', t => {
   t.is(parser.find("[[♡ cinni''s dream home ♡|Cinni]]", pageDirectory, '/').length, 1);
   t.is(deadLinks.size, 0);
 })
+
+test('identifies media embeds by file extension', t => {
+  const deadLinks = new DeadLinks();
+  const parser = new WikilinkParser(opts, deadLinks, new Map());
+
+  t.is(parser.mediaType('figs/square.PNG'), 'image');
+  t.is(parser.mediaType('clip.mp3'), 'audio');
+  t.is(parser.mediaType('demo.mp4'), 'video');
+  t.is(parser.mediaType('paper.pdf'), 'pdf');
+  t.is(parser.mediaType('notes.md'), null);
+
+  const link = parser.parseSingle('![[missing.mp3]]', pageDirectory);
+  t.is(link.mediaType, 'audio');
+  t.is(link.resolvingFnName, '404-embed');
+  t.true(deadLinks.assetGravestones.has('![[missing.mp3]]'));
+  t.is(parser.parseSingle('[[clip.mp3]]', pageDirectory).mediaType, null, 'only embeds are media');
+});
+
+test('parses wikilinks to URLs as external links', t => {
+  const deadLinks = new DeadLinks();
+  const parser = new WikilinkParser(opts, deadLinks, new Map());
+
+  const link = parser.parseSingle('[[https://example.com/docs#install|Docs]]', pageDirectory, '/index');
+  t.true(link.isExternal);
+  t.true(link.exists);
+  t.is(link.href, 'https://example.com/docs#install');
+  t.is(link.title, 'Docs');
+  t.is(link.anchor, null);
+  t.is(link.resolvingFnName, 'external');
+
+  const embed = parser.parseSingle('![[https://youtu.be/dQw4w9WgXcQ]]', pageDirectory, '/index');
+  t.true(embed.isExternal);
+  t.is(embed.resolvingFnName, 'external-embed');
+
+  t.false(parser.parseSingle('[[hello-world]]', pageDirectory, '/index').isExternal);
+  t.is(deadLinks.count(), 0);
+});
+
+test('caches wikilinks per linking page', t => {
+  const parser = new WikilinkParser(opts, new DeadLinks(), new Map());
+
+  const fromRoot = parser.parseSingle('[[./hello-world]]', pageDirectory, '/index');
+  const fromBlog = parser.parseSingle('[[./a-blog-post]]', pageDirectory, '/blog/index');
+
+  t.true(fromRoot.exists);
+  t.true(fromBlog.exists);
+  t.is(parser.parseSingle('[[./hello-world]]', pageDirectory, '/index'), fromRoot, 'cached for the linking page');
+  t.false(parser.parseSingle('[[./hello-world]]', pageDirectory, '/blog/index').exists, 'resolved again for another page');
+
+  t.is(parser.getCached('[[./hello-world]]', '/index'), fromRoot);
+  t.is(parser.getCached('[[./hello-world]]', '/about'), undefined);
+});
+
+test('finds block reference ids', t => {
+  const parser = new WikilinkParser(opts, new Set(), new Map());
+  const ids = parser.findBlockIds("A paragraph ^para-1\n\n- list item ^item-1  \n\n^on-its-own\n\nNot a ^reference here");
+  t.deepEqual([...ids], ['para-1', 'item-1', 'on-its-own']);
+})
+
+test('ignores block reference ids within code', t => {
+  const parser = new WikilinkParser(opts, new Set(), new Map());
+  const ids = parser.findBlockIds("```\nfenced ^in-fence\n```\n\n    indented ^in-indented\n\nSome `inline ^in-span`\n\nA paragraph ^para-1");
+  t.deepEqual([...ids], ['para-1']);
+});
+
+test.serial('reports wikilinks matched after normalisation when verbose', t => {
+  const mock = sinon.stub(console, 'info');
+  const parser = new WikilinkParser({...opts, linkMatching: {caseInsensitive: true, verbose: true}}, new Set(), new Map());
+  const directory = pageLookup([
+    {inputPath: '/home/user/website/hello-world.md', fileSlug: 'hello-world', data: {title: 'Hello World'}, url: '/hello-world/'},
+  ], {linkMatching: {caseInsensitive: true}});
+
+  const link = parser.parseSingle('[[hello world]]', directory, '/index');
+  mock.restore();
+
+  t.true(link.exists);
+  t.is(link.href, '/hello-world/');
+  t.is(mock.callCount, 1);
+  t.true(mock.getCall(0).args.join(' ').includes('Wikilink ([[hello world]]) on page [/index] only matched (/home/user/website/hello-world.md) after normalisation'));
+});